@@ -1,5 +1,5 @@
 //
-// copy-csh - Version 2.0.0
+// copy-csh - Version 2.1.0
 // MadCap Flare Copy CSHID
 //
 // Copyright 2025
@@ -49,7 +49,7 @@
 // Optional inline settings override. DISABLED by default (auto-discovery).
 // Set useCustomSettings to true and update values to force absolute path settings.
 // ----------
-window.CopyCSH = window.CopyCSH || {
+if (typeof window !== "undefined") window.CopyCSH = window.CopyCSH || {
   // Set to true to force these values; set to false (or remove) for auto-discovery.
   useCustomSettings: false,
   // Base path where Default.* lives (trailing slash optional). "/" means site root.
@@ -60,12 +60,81 @@ window.CopyCSH = window.CopyCSH || {
   defaultExt: "htm",
   // Optional UX/logging overrides:
   logLevel: 1,                 // 0=off, 1=basic, 2=debug
-  buttonSelector: ".copy-url-button",
-  toastDuration: 1500          // ms
+  buttonSelector: ".copy-url-button", // every match is a copy button; see data-copy-csh-* in the README
+  toastDuration: 1500,         // ms
+  // Optional section links: copy a link to the heading being read and add a copy button to each heading.
+  sectionLinks: false,
+  headingSelector: "h1, h2, h3, h4",
+  // Link format copied by a plain click: "url", "markdown", "html" or "rich".
+  // Shift/Alt-click opens a menu with every format; set copyMenu to true to always show it.
+  copyFormat: "url",
+  copyMenu: false,
+  // Keyboard shortcut for the same copy as the button, e.g. "Ctrl+Shift+L" ("Mod" is Cmd on macOS, Ctrl elsewhere).
+  // Empty disables it.
+  copyShortcut: "",
+  // Right-click on a link to another topic of this output offers to copy that topic's CSH link
+  // (Shift+right-click still opens the browser menu).
+  linkContextMenu: false,
+  // Show a small "CSH" button when a link to another topic (in the content or the TOC) is hovered or
+  // focused; linkButtonSelector limits which links get it.
+  linkButtons: false,
+  linkButtonSelector: "a[href]",
+  // Add "Show QR code" to the format menu and a QR code toggle to the manual-copy dialog (drawn by the
+  // script, no external service). share adds "Share…" where the browser has navigator.share (mostly mobile).
+  qrCode: false,
+  share: false,
+  // Alias.xml index cache: how long (ms) an index is used before it is revalidated with the server,
+  // where it is kept between page loads ("session", "local" or "none"), and whether to build it
+  // in an idle callback after page load so the first click does not wait for Alias.xml.
+  aliasCacheTTL: 600000,
+  aliasCacheStorage: "session",
+  prefetchAliases: false,
+  // UI language: "" follows <html lang> (en, de, fr and ja are built in). strings overrides any text,
+  // either for every language ({ copied: "Link copied" }) or per language ({ de: { copied: "..." } }).
+  lang: "",
+  strings: {},
+  // Styling: the script adds a small stylesheet (copy-csh-* classes, --copy-csh-* custom properties)
+  // before the skin's own, so the skin can theme it. colorScheme is "auto" (follows
+  // prefers-color-scheme), "light" or "dark"; set injectStyles to false to style everything yourself.
+  colorScheme: "auto",
+  injectStyles: true,
+  // Link templates. Placeholders: {origin} {base} {ext} {cshid} {topicPath} {title} {anchor}
+  // ({base} has no trailing slash; "" for the site root). fallbackTemplate is used for topics without
+  // a CSHID; leave it empty to copy the clean topic URL.
+  linkTemplate: "{origin}{base}/Default.{ext}#cshid={cshid}",
+  fallbackTemplate: "",
+  // Rewrite copied links from a staging/mirror host to the public one, e.g.
+  // { "https://staging.example.com": "https://docs.example.com" }.
+  canonicalOrigins: {},
+  // Query parameters the clean URL keeps (all others are stripped), e.g. ["lang"].
+  keepQueryParams: [],
+  // Other versions or targets of the same help, on this site: [{ label: "Latest", basePath: "/Docs/latest/TopNav" }, ...].
+  // The format menu offers a link to the topic in each version whose Alias.xml has it. defaultVersion
+  // (a label) makes every copied link point at that version when it has the topic.
+  versions: [],
+  defaultVersion: "",
+  // Shift+Alt-click on the button, or ?copycsh-diagnostics in the page URL, opens a diagnostics panel
+  // (probes, context, Alias.xml match, cache, final URL) with a copyable report for support. Off by
+  // default; turn it on while tracking down a wrong link.
+  diagnostics: false,
+  // A topic URL with a CSHID (#cshid=1000, or the older ?cshid=1000) opens the topic that ID belongs to:
+  // the URL is cleaned up when it already is that topic, and an unknown ID shows a notice on the page.
+  // Off by default, since it rewrites the address bar and can navigate away from the page.
+  resolveIncomingLinks: false,
+  // Opt-in usage analytics: copies with and without a CSHID, blocked clipboards and Alias.xml errors, per
+  // topic. Sent in batches with navigator.sendBeacon to analyticsEndpoint and/or passed to
+  // analyticsCallback(events). Off when neither is set, and always off under Do Not Track or Global
+  // Privacy Control; analyticsConsent, a function, must also return true (e.g. from your consent banner).
+  analyticsEndpoint: "",
+  analyticsCallback: null,
+  analyticsConsent: null,
+  analyticsBatchSize: 10,
+  analyticsFlushInterval: 10000 // ms
 };
 
 // Keep aliasPath coherent with basePath when alias looks default.
 (function syncAliasToBase(){
+  if (typeof window === "undefined") return;
   const cfg = window.CopyCSH || {};
   const aliasLooksDefault = !cfg.aliasPath || cfg.aliasPath === "/Data/Alias.xml";
   if (aliasLooksDefault) {
@@ -74,21 +143,23 @@ window.CopyCSH = window.CopyCSH || {
   }
 })();
 
-// -----------------------------------------------------------------------------
-document.addEventListener("DOMContentLoaded", () => {
-  // Adopt inline logLevel if provided
-  const cfgInlineOnce = getInlineConfig();
-  let logLevel = Number((cfgInlineOnce && typeof cfgInlineOnce.logLevel === "number") ? cfgInlineOnce.logLevel : (window.CopyCSH?.logLevel ?? 1));
-  const buttonSelector = window.CopyCSH?.buttonSelector || ".copy-url-button";
-  const toastDuration = Number(window.CopyCSH?.toastDuration ?? 1500);
-
-  function log(level, ...args) { if (logLevel >= level) console.log(...args); }
-  function warn(...args) { console.warn(...args); }
-  function error(...args) { console.error(...args); }
-
-  log(1, "copy-csh v2.0.1 loaded.");
+// copycsh:ready fires once. Scripts that may load after it check CopyCSH.ready or await whenReady(),
+// which resolves to window.CopyCSH.
+if (typeof window !== "undefined") Object.assign(window.CopyCSH, {
+  ready: false,
+  whenReady: () => window.CopyCSH.ready
+    ? Promise.resolve(window.CopyCSH)
+    : new Promise(resolve => document.addEventListener("copycsh:ready", () => resolve(window.CopyCSH), { once: true }))
+});
 
-  // =============== Utilities ===============
+// -----------------------------------------------------------------------------
+// Core: URL path helpers, output-base candidates, Tripane routes and the Alias.xml rules.
+// No DOM access here, so Node (the tools in /tools and the tests in /test) can require() this file
+// and use exactly the logic the browser runs. var, not const: a page that includes the script twice
+// (master page and topic) would otherwise fail on the second declaration.
+// -----------------------------------------------------------------------------
+var CopyCSHCore = (function () {
+  // =============== Path helpers ===============
   function splitPath(pathname) { return pathname.split("/").filter(Boolean); }
   function joinPath(parts) { return "/" + parts.join("/"); }
   function hasFileExt(seg) { return /\.[a-z0-9]+$/i.test(seg || ""); }
@@ -99,36 +170,15 @@ document.addEventListener("DOMContentLoaded", () => {
     const tail = (rest || "").startsWith("/") ? rest : "/" + (rest || "");
     return base + tail;
   }
-  function sleep(ms) { return new Promise(res => setTimeout(res, ms)); }
-  async function withTimeout(promise, ms, abortController) {
-    const t = setTimeout(() => abortController.abort(), ms);
-    try { return await promise; } finally { clearTimeout(t); }
-  }
-
-  // =============== Config helpers (inline only) ===============
-  function getInlineConfig() {
-    const raw = window.CopyCSH || {};
-    return {
-      useCustomSettings: !!raw.useCustomSettings,
-      basePath: typeof raw.basePath === "string" ? raw.basePath : undefined,
-      aliasPath: typeof raw.aliasPath === "string" ? raw.aliasPath : undefined,
-      defaultExt: typeof raw.defaultExt === "string" ? raw.defaultExt.toLowerCase() : "htm",
-      logLevel: typeof raw.logLevel === "number" ? raw.logLevel : undefined,
-      buttonSelector: typeof raw.buttonSelector === "string" ? raw.buttonSelector : undefined,
-      toastDuration: typeof raw.toastDuration === "number" ? raw.toastDuration : undefined
-    };
-  }
 
-  function finalizeFromBaseAndAlias(basePath, aliasPath) {
-    const p = window.location.pathname;
-    const base = basePath === "/" ? "/" : basePath.replace(/\/+$/,"");
-    const alias = aliasPath.startsWith("/") ? aliasPath : "/" + aliasPath;
-    const prefix = (base === "/" ? "/" : base + "/");
-    const targetRelative = p.startsWith(prefix) ? p.slice(prefix.length) : p.replace(/^\//,"");
-    return { basePath: base, aliasPath: alias, targetRelative };
+  // Path of a page relative to the output base ("/Out/Content/a.htm" under "/Out" -> "Content/a.htm").
+  function relativeToBase(pathname, basePath) {
+    const prefix = basePath.replace(/\/+$/, "") + "/";
+    return pathname.startsWith(prefix) ? pathname.slice(prefix.length) : pathname.replace(/^\//,"");
   }
 
-  // =============== Auto-discovery (fallback if inline disabled) ===============
+  // =============== Output base candidates ===============
+  // Folders that may hold Data/Alias.xml for a page, most likely first.
   function candidateBases(pathname) {
     const parts = splitPath(pathname);
     const out = new Set();
@@ -157,399 +207,2746 @@ document.addEventListener("DOMContentLoaded", () => {
     return Array.from(out);
   }
 
-  async function probeBaseForAliasXml(base) {
-    const url = window.location.origin + joinBase(base, "Data/Alias.xml");
-    const ac = new AbortController();
-    try {
-      const resp = await withTimeout(fetch(url, {
-        mode: "same-origin",
-        credentials: "same-origin",
-        cache: "no-store",
-        signal: ac.signal
-      }), 2000, ac);
-      return resp && resp.ok ? { ok: true, base, aliasUrl: url } : { ok: false };
-    } catch {
-      return { ok: false };
-    }
+  // Best guess when no candidate answers: the folder above "Content", else the page's own folder.
+  function heuristicBase(pathname) {
+    const parts = splitPath(pathname);
+    const contentIdx = parts.lastIndexOf("Content");
+    if (contentIdx !== -1) return joinPath(parts.slice(0, contentIdx));
+    return hasFileExt(parts[parts.length - 1]) ? joinPath(parts.slice(0, -1)) : joinPath(parts);
   }
 
-  async function discoverFlareContextAutoprobe() {
-    const p = window.location.pathname;
-    const candidates = candidateBases(p);
-    log(2, "Probe candidates:", candidates);
+  // Tripane-style URL: /Output/Default.htm#Content/Topic.htm%23Anchor?skin... The topic lives in the
+  // hash, relative to the folder of Default.*. loc is anything with pathname and hash (Location, URL).
+  function parseHashRoute(loc) {
+    const file = loc.pathname.split("/").pop();
+    if (!/^default(_csh)?\.[a-z0-9]+$/i.test(file) || loc.hash.length < 2) return null;
+    let route = loc.hash.slice(1);
+    try { route = decodeURIComponent(route); } catch { /* keep as is */ }
+    const [path, rest = ""] = route.split("?")[0].split(/#(.*)/s);
+    if (!hasFileExt(path) || path.includes("=")) return null; // #cshid=..., #searchQuery=...
+    return {
+      defaultPath: loc.pathname,
+      rootPath: loc.pathname.slice(0, -file.length).replace(/\/+$/, "") || "/",
+      topicPath: stripLeadingSlash(path),
+      anchor: rest || null
+    };
+  }
 
-    let basePath = null;
-    let aliasPath = null;
+  // Topic a URL points at, relative to the output base: { path, anchor }. null when the URL is outside
+  // the output or is not a topic (Default.* without a route, PDFs and other files). url: URL or Location.
+  function topicFromUrl(url, basePath) {
+    const route = parseHashRoute(url);
+    const pathname = route ? joinBase(route.rootPath, route.topicPath) : url.pathname;
+    const prefix = basePath === "/" ? "/" : basePath.replace(/\/+$/, "") + "/";
+    if (!pathname.startsWith(prefix)) return null;
+    const path = pathname.slice(prefix.length);
+    if (/^default(_csh)?\./i.test(path) || !ALLOWED_EXTS.includes(linkExtension(path).rawExt)) return null;
 
-    for (const base of candidates) {
-      const res = await probeBaseForAliasXml(base);
-      if (res.ok) {
-        basePath = res.base;
-        aliasPath = res.aliasUrl.replace(window.location.origin, "");
-        break;
+    let anchor = route ? route.anchor : url.hash.slice(1);
+    try { anchor = decodeURIComponent(anchor || ""); } catch { /* keep as written */ }
+    return { path, anchor: anchor || null };
+  }
+
+  // CSHID a topic URL carries: { cshId, from } with from "hash" (#cshid=..., the form Flare's Default page
+  // reads) or "query" (the older ?cshid=...), else null. Default.* pages are left to Flare's own CSH
+  // handling, so they never have one here.
+  function incomingCshId(loc) {
+    if (/^default(_csh)?\.[a-z0-9]+$/i.test(loc.pathname.split("/").pop())) return null;
+    const find = (params, from) => {
+      for (const [key, value] of params) {
+        if (key.toLowerCase() === "cshid" && value.trim()) return { cshId: value.trim(), from };
       }
-      await sleep(30);
-    }
+      return null;
+    };
+    return find(new URLSearchParams(loc.hash.slice(1)), "hash") || find(new URLSearchParams(loc.search), "query");
+  }
 
-    if (!basePath) {
-      const parts = splitPath(p);
-      const contentIdx = parts.lastIndexOf("Content");
-      if (contentIdx !== -1) basePath = joinPath(parts.slice(0, contentIdx));
-      else basePath = hasFileExt(parts[parts.length - 1]) ? joinPath(parts.slice(0, -1)) : joinPath(parts);
-      aliasPath = joinBase(basePath, "Data/Alias.xml");
-      warn("Alias.xml probe failed; using heuristic base:", basePath, "aliasPath:", aliasPath);
-    }
+  // =============== Alias.xml rules ===============
+  const ALLOWED_EXTS = ["htm", "html", "php"];
+  const CONTENT_PREFIX = "content/";
+  // The browser refuses to index anything larger (characters of Alias.xml text).
+  const MAX_ALIAS_LENGTH = 2_000_000;
 
-    const prefix = basePath.replace(/\/+$/, "") + "/";
-    const targetRelative = p.startsWith(prefix) ? p.slice(prefix.length) : p.replace(/^\//,"");
+  // A link as written in Alias.xml, decoded ("My%20Topic.htm" -> "My Topic.htm") but with its case kept.
+  function decodeLink(link) {
+    const out = (link || "").trim();
+    try { return decodeURI(out); } catch { return out; } // malformed escape: keep as written
+  }
 
-    log(1, "Determined basePath:", basePath);
-    log(1, "Determined aliasPath:", aliasPath);
-    log(1, "Determined targetRelative:", targetRelative);
+  // Links and page paths are compared decoded ("My%20Topic.htm" and "My Topic.htm" are the same topic).
+  function normalizeLink(link) {
+    return decodeLink(link).toLowerCase();
+  }
 
-    return { basePath, aliasPath, targetRelative };
+  // Keys for the three lookup tiers: full link, link without a leading "content/", bare file name.
+  function linkKeys(link) {
+    const full = normalizeLink(link);
+    return {
+      full,
+      noContent: full.startsWith(CONTENT_PREFIX) ? full.slice(CONTENT_PREFIX.length) : full,
+      file: full.split("/").pop()
+    };
   }
 
-  // =============== Unified discovery (inline override OR auto) ===============
-  async function discoverFlareContextWithInline() {
-    const cfg = getInlineConfig();
-    if (cfg.useCustomSettings && (cfg.basePath || cfg.aliasPath)) {
-      const base = cfg.basePath || "/";
-      const alias = cfg.aliasPath || (base === "/" ? "/Data/Alias.xml" : base.replace(/\/+$/,"") + "/Data/Alias.xml");
-      const ctx = finalizeFromBaseAndAlias(base, alias);
-      ctx._defaultExt = cfg.defaultExt || "htm";
-      // adopt potential runtime change to log level, selector, duration
-      if (typeof cfg.logLevel === "number") logLevel = cfg.logLevel;
-      if (typeof cfg.toastDuration === "number") { /* already read at load; keep if needed */ }
-      log(1, "Using inline settings:", { basePath: ctx.basePath, aliasPath: ctx.aliasPath, defaultExt: ctx._defaultExt });
-      return ctx;
-    }
-    // fallback to auto-discovery
-    const ctx = await discoverFlareContextAutoprobe();
-    ctx._defaultExt = "htm";
-    return ctx;
+  // rawExt is what the link ends with; ext is what Default.<ext> links use (unknown extensions become "htm").
+  function linkExtension(link) {
+    const rawExt = (normalizeLink(link).split("#")[0].split(".").pop() || "htm").replace(/[^a-z0-9]/g, "");
+    return { rawExt, ext: ALLOWED_EXTS.includes(rawExt) ? rawExt : "htm" };
   }
 
-  // =============== Alias.xml match (with simple cache + optional TTL) ===============
-  let aliasCache = null;
-  const TEN_MIN = 10 * 60 * 1000;
+  // maps: [{ link, name, resolvedId }] taken from the Map elements' Link/Name/ResolvedId attributes.
+  // Index values are arrays: several Map elements (aliases) may point at the same topic. Entries keep
+  // the normalized link for matching and the decoded path as written for building URLs.
+  function buildAliasIndex(maps) {
+    const out = { maps: [], index: { full: {}, noContent: {}, file: {} } };
+    const add = (bucket, key, entry) => (bucket[key] || (bucket[key] = [])).push(entry);
 
-  async function getCshId(aliasPath, targetRelative) {
-    // Cache hit
-    if (aliasCache?.index && (Date.now() - aliasCache.ts) <= TEN_MIN) {
-      const contentPrefixLen = "content/".length;
-      const rel = (targetRelative || "").trim().toLowerCase();
-      const relNoContent = rel.startsWith("content/") ? rel.slice(contentPrefixLen) : rel;
-      const relFile = rel.split("/").pop();
-      const hit = aliasCache.index.full[rel]
-        || aliasCache.index.noContent[relNoContent]
-        || aliasCache.index.file[relFile];
-      if (hit) {
-        log(1, "CSH (cached) match:", hit);
-        return { cshId: hit.cshId, correctExtension: hit.ext };
-      }
+    for (const map of maps) {
+      const link = normalizeLink(map.link);
+      if (!link) continue;
+      const name = map.name || "";
+      const cshId = map.resolvedId || name;
+      if (!cshId) continue;
+      const keys = linkKeys(link);
+      const entry = { link, cshId, name, ext: linkExtension(link).ext, path: decodeLink(map.link) };
+      out.maps.push(entry);
+      add(out.index.full, keys.full, entry);
+      add(out.index.noContent, keys.noContent, entry);
+      add(out.index.file, keys.file, entry);
     }
+    return out;
+  }
 
-    try {
-      const xmlUrl = window.location.origin + aliasPath;
-      log(1, "Fetching Alias.xml from:", xmlUrl);
-
-      const ac = new AbortController();
-      const response = await Promise.race([
-        fetch(xmlUrl, {
-          cache: "no-store",
-          mode: "same-origin",
-          credentials: "same-origin",
-          signal: ac.signal
-        }),
-        (async () => { await sleep(4000); ac.abort(); })()
-      ]);
-      if (!response || !response.ok) throw new Error("Failed to fetch XML");
-
-      const xmlText = await response.text();
-      if (xmlText.length > 2_000_000) throw new Error("Alias.xml too large");
-      log(2, "Alias.xml bytes:", xmlText.length);
-
-      const xmlDoc = new DOMParser().parseFromString(xmlText, "application/xml");
-      const maps = xmlDoc.getElementsByTagName("Map");
-
-      // Build/refresh indices
-      aliasCache = { maps: [], index: { full: {}, noContent: {}, file: {} }, ts: Date.now() };
-      const contentPrefixLen = "content/".length;
-
-      for (let map of maps) {
-        let link = (map.getAttribute("Link") || "").trim().toLowerCase();
-        if (!link) continue;
-        const linkNoContent = link.startsWith("content/") ? link.slice(contentPrefixLen) : link;
-        const linkFile = link.split("/").pop();
-        const cshId = map.getAttribute("ResolvedId");
-        const rawExt = (link.split(".").pop() || "htm").toLowerCase().replace(/[^a-z0-9]/g,"");
-        const allowed = new Set(["htm","html","php"]);
-        const ext = allowed.has(rawExt) ? rawExt : "htm";
-        const entry = { link, cshId, ext };
-        aliasCache.index.full[link] = entry;
-        aliasCache.index.noContent[linkNoContent] = entry;
-        aliasCache.index.file[linkFile] = entry;
-      }
+  // Number of trailing path segments two links have in common ("a/b/x.htm" vs "c/b/x.htm" -> 2).
+  function sharedSuffixLength(a, b) {
+    const pa = normalizeLink(a).split("/");
+    const pb = normalizeLink(b).split("/");
+    let n = 0;
+    while (n < pa.length && n < pb.length && pa[pa.length - 1 - n] === pb[pb.length - 1 - n]) n++;
+    return n;
+  }
 
-      const rel = (targetRelative || "").trim().toLowerCase();
-      const relNoContent = rel.startsWith("content/") ? rel.slice(contentPrefixLen) : rel;
-      const relFile = rel.split("/").pop();
+  // The file-name tier can hold unrelated topics (every overview.htm). Rank the candidate links by
+  // shared path suffix with the target; a tie for first place means we cannot tell which topic is meant.
+  function rankFileCandidates(hits, targetRelative) {
+    const byLink = new Map();
+    for (const hit of hits) {
+      if (!byLink.has(hit.link)) byLink.set(hit.link, []);
+      byLink.get(hit.link).push(hit);
+    }
+    const candidates = Array.from(byLink.keys(), link => ({ link, score: sharedSuffixLength(link, targetRelative) }))
+      .sort((x, y) => y.score - x.score);
+    const ambiguous = candidates.length > 1 && candidates[0].score === candidates[1].score;
+    return { hits: ambiguous ? [] : byLink.get(candidates[0].link), candidates, ambiguous };
+  }
 
-      const hit = aliasCache.index.full[rel]
-        || aliasCache.index.noContent[relNoContent]
-        || aliasCache.index.file[relFile];
+  // Returns { tier, hits, candidates?, ambiguous? } for the first tier that matches targetRelative, or null.
+  // An ambiguous file-name match has no hits; callers must not guess a CSHID from it.
+  function matchAliasIndex(index, targetRelative) {
+    const keys = linkKeys(targetRelative);
+    for (const tier of ["full", "noContent", "file"]) {
+      const hits = index[tier][keys[tier]];
+      if (!hits || !hits.length) continue;
+      if (tier !== "file") return { tier, hits };
+      return { tier, ...rankFileCandidates(hits, keys.full) };
+    }
+    return null;
+  }
 
-      if (hit) {
-        log(1, "CSH match:", hit);
-        return { cshId: hit.cshId, correctExtension: hit.ext };
-      }
+  // Map entry a CSHID from a link names: a ResolvedId, else an alias Name (Flare's Default page accepts
+  // both in #cshid=). Names match regardless of case.
+  function aliasForId(maps, id) {
+    const key = String(id ?? "").trim();
+    if (!key) return null;
+    return maps.find(m => m.cshId === key) || aliasByName(maps, key);
+  }
 
-      warn("No match found in Alias.xml for:", targetRelative);
-      return null;
-    } catch (err) {
-      error("Error fetching/parsing Alias.xml:", err);
-      return null;
+  // Map entry with this alias Name, ignoring case, or null.
+  function aliasByName(maps, name) {
+    const key = String(name ?? "").trim().toLowerCase();
+    return (key && maps.find(m => m.name && m.name.toLowerCase() === key)) || null;
+  }
+
+  // Lookup-ready form of buildAliasIndex() output for embedding in a page (tools/build-alias-index.js):
+  // maps become [path, cshId, name, ext] rows and every tier maps its keys to row numbers.
+  function serializeAliasIndex({ maps, index }) {
+    const rows = new Map(maps.map((entry, i) => [entry, i]));
+    const tiers = {};
+    for (const [tier, bucket] of Object.entries(index)) {
+      tiers[tier] = {};
+      for (const [key, entries] of Object.entries(bucket)) tiers[tier][key] = entries.map(e => rows.get(e));
     }
+    return { maps: maps.map(m => [m.path, m.cshId, m.name, m.ext]), index: tiers };
   }
 
-  // =============== UI: toast and dialog ===============
-  function showToast(message, event = null) {
-    const toast = document.createElement("div");
-    toast.innerText = message;
-    toast.style.position = "fixed";
-    toast.style.background = "black";
-    toast.style.color = "white";
-    toast.style.padding = "8px 12px";
-    toast.style.borderRadius = "5px";
-    toast.style.opacity = "0.95";
-    toast.style.transition = "opacity 0.5s ease-in-out";
-    toast.style.zIndex = "2000";
-    toast.style.fontSize = "13px";
-    toast.style.pointerEvents = "none";
-    toast.setAttribute("role", "status");
+  // Inverse of serializeAliasIndex(): { maps, index } as buildAliasIndex() returns it. (Indexes built
+  // before paths were kept have the normalized link in the first column; it serves as the path.)
+  function hydrateAliasIndex(data) {
+    const maps = data.maps.map(([path, cshId, name, ext]) => ({ link: normalizeLink(path), cshId, name, ext, path }));
+    const index = { full: {}, noContent: {}, file: {} };
+    for (const tier of Object.keys(index)) {
+      for (const [key, rows] of Object.entries(data.index[tier] || {})) index[tier][key] = rows.map(i => maps[i]);
+    }
+    return { maps, index };
+  }
 
-    // Default: bottom-right
-    let x = window.innerWidth - 160;
-    let y = window.innerHeight - 80;
+  // =============== QR code ===============
+  // Byte-mode QR encoder, error correction level M (about 15% of the symbol may be damaged), versions
+  // 1-40. Follows ISO/IEC 18004; the table layout and formulas are those of Project Nayuki's
+  // public-domain reference encoder. encodeQr(text) -> { size, modules } (modules[y][x], true = dark),
+  // or null when the text does not fit.
+  // Error correction codewords per block and number of blocks, level M, index = version.
+  const QR_ECC_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+  const QR_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+  const QR_FORMAT_BITS_M = 0;
 
-    // Prefer near click or button
-    if (event && typeof event.clientX === "number" && typeof event.clientY === "number") {
-      x = event.clientX + 15;
-      y = event.clientY + 20;
-    } else {
-      const btn = document.querySelector(buttonSelector);
-      if (btn) {
-        const rect = btn.getBoundingClientRect();
-        x = rect.right - 40;
-        y = rect.bottom + 10;
-      }
+  function qrRawDataModules(ver) {
+    let result = (16 * ver + 128) * ver + 64;
+    if (ver >= 2) {
+      const numAlign = Math.floor(ver / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (ver >= 7) result -= 36;
     }
+    return result;
+  }
 
-    // Clamp
-    x = Math.min(Math.max(10, x), window.innerWidth - 200);
-    y = Math.min(Math.max(10, y), window.innerHeight - 60);
+  function qrDataCodewords(ver) {
+    return Math.floor(qrRawDataModules(ver) / 8) - QR_ECC_PER_BLOCK[ver] * QR_BLOCKS[ver];
+  }
 
-    toast.style.left = `${x}px`;
-    toast.style.top = `${y}px`;
+  function qrAlignmentPositions(ver) {
+    if (ver === 1) return [];
+    const size = ver * 4 + 17;
+    const numAlign = Math.floor(ver / 7) + 2;
+    const step = Math.floor((ver * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
 
-    document.body.appendChild(toast);
-    setTimeout(() => {
-      toast.style.opacity = "0";
-      setTimeout(() => document.body.removeChild(toast), 500);
-    }, toastDuration);
+  // GF(2^8) arithmetic with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1.
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
   }
 
-  function showManualCopyDialog(text, event = null) {
-    const existing = document.getElementById("copy-cshid-modal");
-    if (existing) existing.remove();
-
-    const modal = document.createElement("div");
-    modal.id = "copy-cshid-modal";
-    modal.setAttribute("role", "dialog");
-    modal.setAttribute("aria-modal", "true");
-    modal.setAttribute("aria-label", "Copy URL dialog");
-    Object.assign(modal.style, {
-      position: "fixed",
-      top: "50%",
-      left: "50%",
-      transform: "translate(-50%, -50%)",
-      background: "#ffffff",
-      color: "#222",
-      padding: "14px 16px",
-      border: "1px solid #444",
-      borderRadius: "6px",
-      boxShadow: "0 4px 14px rgba(0,0,0,.35)",
-      zIndex: "3000",
-      width: "320px",
-      fontFamily: "Arial, sans-serif",
-      fontSize: "13px"
-    });
+  function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
 
-    const label = document.createElement("div");
-    label.textContent = "Copy URL manually:";
-    label.style.marginBottom = "6px";
-    label.style.fontWeight = "600";
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+  }
 
-    const textArea = document.createElement("textarea");
-    textArea.value = text;
-    textArea.setAttribute("readonly", "");
-    Object.assign(textArea.style, {
-      width: "100%",
-      height: "90px",
-      resize: "none",
-      fontSize: "12px",
-      padding: "6px",
-      boxSizing: "border-box"
-    });
+  function utf8Bytes(text) {
+    if (typeof TextEncoder === "function") return Array.from(new TextEncoder().encode(text));
+    return Array.from(unescape(encodeURIComponent(text)), c => c.charCodeAt(0));
+  }
 
-    const actions = document.createElement("div");
-    actions.style.display = "flex";
-    actions.style.gap = "8px";
-    actions.style.marginTop = "10px";
-    actions.style.justifyContent = "flex-end";
-
-    const copyBtn = document.createElement("button");
-    copyBtn.type = "button";
-    copyBtn.textContent = "Copy";
-    const closeButton = document.createElement("button");
-    closeButton.type = "button";
-    closeButton.textContent = "Close";
-
-    [copyBtn, closeButton].forEach(btn => {
-      Object.assign(btn.style, {
-        cursor: "pointer",
-        padding: "5px 10px",
-        borderRadius: "4px",
-        border: "1px solid #555",
-        background: "#f3f3f3"
-      });
-    });
+  // Data codewords: mode, length, bytes, terminator and padding, for the smallest version that fits.
+  function qrData(bytes) {
+    for (let ver = 1; ver <= 40; ver++) {
+      const capacityBits = qrDataCodewords(ver) * 8;
+      const countBits = ver < 10 ? 8 : 16;
+      if (4 + countBits + bytes.length * 8 > capacityBits) continue;
 
-    copyBtn.addEventListener("click", () => {
-      if (navigator.clipboard?.writeText) {
-        navigator.clipboard.writeText(text).then(() => {
-          showToast("Copied!", event);
-          modal.remove();
-        }).catch(() => {
-          textArea.select();
-          showToast("Select & copy.", event);
-        });
-      } else {
-        textArea.select();
-        showToast("Select & copy.", event);
-      }
-    });
+      const bits = [];
+      const put = (value, len) => { for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+      put(0b0100, 4);
+      put(bytes.length, countBits);
+      bytes.forEach(b => put(b, 8));
+      put(0, Math.min(4, capacityBits - bits.length));
+      put(0, (8 - bits.length % 8) % 8);
+      for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) put(pad, 8);
 
-    closeButton.addEventListener("click", () => modal.remove());
-    modal.addEventListener("keydown", (e) => {
-      if (e.key === "Escape") modal.remove();
-    });
+      const codewords = [];
+      for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+      return { ver, codewords };
+    }
+    return null;
+  }
 
-    actions.appendChild(copyBtn);
-    actions.appendChild(closeButton);
-    modal.appendChild(label);
-    modal.appendChild(textArea);
-    modal.appendChild(actions);
-    document.body.appendChild(modal);
-    textArea.focus();
-    textArea.select();
+  // Splits data into blocks, adds Reed-Solomon codewords and interleaves them.
+  function qrAddEcc(ver, data) {
+    const numBlocks = QR_BLOCKS[ver];
+    const eccLen = QR_ECC_PER_BLOCK[ver];
+    const rawCodewords = Math.floor(qrRawDataModules(ver) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(eccLen);
 
-    if (event && typeof event.clientX === "number" && typeof event.clientY === "number") {
-      modal.style.top = `${Math.max(20, Math.min(window.innerHeight - 200, event.clientY + 20))}px`;
-      modal.style.left = `${Math.max(20, Math.min(window.innerWidth - 340, event.clientX + 20))}px`;
-      modal.style.transform = "none";
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dat = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = rsRemainder(dat, divisor);
+      if (i < numShortBlocks) dat.push(0); // placeholder so all blocks line up; skipped below
+      blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLen - eccLen || j >= numShortBlocks) result.push(block[i]);
+      });
     }
+    return result;
   }
 
-  // =============== Clipboard + main flow ===============
-  function copyToClipboard(text, event) {
-    if (!(event?.isTrusted)) {
-      warn("Blocked non-trusted invocation of copy action.");
-      return;
+  const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  ];
+
+  // Penalty rules N1-N4 of the standard; the mask with the lowest score is used.
+  function qrPenalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
     }
-    if (window.isSecureContext && navigator.clipboard?.writeText) {
-      navigator.clipboard.writeText(text)
-        .then(() => showToast("Copied to clipboard!", event))
-        .catch(() => showManualCopyDialog(text, event));
-    } else {
-      try {
-        const ta = document.createElement("textarea");
-        ta.value = text;
-        ta.setAttribute("readonly", "");
-        ta.style.position = "fixed";
-        ta.style.left = "-9999px";
-        document.body.appendChild(ta);
-        ta.select();
-        let ok = false;
-        if (document.execCommand) ok = document.execCommand("copy");
-        document.body.removeChild(ta);
-        if (ok) showToast("Copied to clipboard!", event);
-        else throw new Error("execCommand copy failed");
-      } catch {
-        showManualCopyDialog(text, event);
+    const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+    for (const line of lines) {
+      for (let i = 0, run = 1; i < size; i++, run++) {
+        if (i === size - 1 || line[i] !== line[i + 1]) {
+          if (run >= 5) score += 3 + run - 5;
+          run = 0;
+        }
+      }
+      for (let i = 0; i + 11 <= size; i++) {
+        if (finderLike.some(p => p.every((bit, k) => line[i + k] === !!bit))) score += 40;
+      }
+    }
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (modules[y][x + 1] === c && modules[y + 1][x] === c && modules[y + 1][x + 1] === c) score += 3;
+        }
       }
     }
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
   }
 
-  async function handleCopyUrlClick(event) {
-    if (!(event?.isTrusted)) { warn("Blocked synthetic click."); return; }
-    log(1, "Copy URL button clicked.");
+  function encodeQr(text) {
+    const data = qrData(utf8Bytes(String(text)));
+    if (!data) return null;
+    const { ver } = data;
+    const size = ver * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => { modules[y][x] = dark; isFunction[y][x] = true; };
 
-    const { basePath, aliasPath, targetRelative, _defaultExt } = await discoverFlareContextWithInline();
-    log(1, "Context:", { basePath, aliasPath, targetRelative });
+    // Timing patterns, finder patterns (with separators), alignment patterns.
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+    const align = qrAlignmentPositions(ver);
+    align.forEach((ay, i) => align.forEach((ax, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === align.length - 1) || (i === align.length - 1 && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
 
-    const result = await getCshId(aliasPath, targetRelative);
+    const drawFormat = (mask) => {
+      const value = (QR_FORMAT_BITS_M << 3) | mask;
+      let rem = value;
+      for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+      const bits = ((value << 10) | rem) ^ 0x5412;
+      const bit = (i) => ((bits >>> i) & 1) !== 0;
+      for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+      set(8, 7, bit(6));
+      set(8, 8, bit(7));
+      set(7, 8, bit(8));
+      for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+      for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+      for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+      set(8, size - 8, true);
+    };
+    drawFormat(0); // reserves the format areas before data is placed
 
-    let finalUrl;
-    if (result) {
-      const ext = result.correctExtension || _defaultExt || "htm";
-      finalUrl = `${window.location.origin}${joinBase(basePath, `Default.${ext}`)}#cshid=${result.cshId}`;
-      log(1, "CSH URL:", finalUrl);
-    } else {
-      finalUrl = stripUrlVariables(window.location.href);
-      warn("No CSH ID; using fallback:", finalUrl);
+    if (ver >= 7) {
+      let rem = ver;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (ver << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) !== 0;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
     }
 
-    copyToClipboard(finalUrl, event);
-  }
+    // Codewords in the two-column zigzag, skipping function modules.
+    const codewords = qrAddEcc(ver, data.codewords);
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+            modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+            bitIndex++;
+          }
+        }
+      }
+    }
 
-  // =============== Button wiring ===============
-  function attachButtonListener() {
-    const button = document.querySelector(buttonSelector);
-    if (button) {
-      button.removeEventListener("click", handleCopyUrlClick);
-      button.addEventListener("click", (e) => handleCopyUrlClick(e));
-      log(1, "Listener attached to", buttonSelector);
-    } else {
-      const observer = new MutationObserver(() => {
-        const newButton = document.querySelector(buttonSelector);
-        if (newButton) {
-          observer.disconnect();
-          attachButtonListener();
+    const applyMask = (mask) => {
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          if (!isFunction[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
         }
-      });
-      observer.observe(document.body, { childList: true, subtree: true });
-      log(1, "Watching for dynamically inserted", buttonSelector);
+      }
+    };
+    let best = 0;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      applyMask(mask);
+      drawFormat(mask);
+      const score = qrPenalty(modules);
+      if (score < bestScore) { best = mask; bestScore = score; }
+      applyMask(mask); // XOR again to undo
     }
+    applyMask(best);
+    drawFormat(best);
+    return { version: ver, size, modules };
   }
 
-  attachButtonListener();
+  return {
+    splitPath,
+    joinPath,
+    hasFileExt,
+    stripLeadingSlash,
+    stripUrlVariables,
+    joinBase,
+    relativeToBase,
+    candidateBases,
+    heuristicBase,
+    parseHashRoute,
+    topicFromUrl,
+    incomingCshId,
+    ALLOWED_EXTS,
+    MAX_ALIAS_LENGTH,
+    normalizeLink,
+    linkKeys,
+    linkExtension,
+    sharedSuffixLength,
+    buildAliasIndex,
+    matchAliasIndex,
+    aliasForId,
+    aliasByName,
+    serializeAliasIndex,
+    hydrateAliasIndex,
+    decodeLink,
+    encodeQr
+  };
+})();
 
-  // ---------- inner helpers (defined after first use for clarity) ----------
-  async function discoverFlareContextWithInline() {
-    const cfg = getInlineConfig();
-    if (cfg.useCustomSettings && (cfg.basePath || cfg.aliasPath)) {
-      const base = cfg.basePath || "/";
-      const alias = cfg.aliasPath || (base === "/" ? "/Data/Alias.xml" : base.replace(/\/+$/,"") + "/Data/Alias.xml");
-      const ctx = finalizeFromBaseAndAlias(base, alias);
-      ctx._defaultExt = cfg.defaultExt || "htm";
-      if (typeof cfg.logLevel === "number") logLevel = cfg.logLevel;
-      log(1, "Using inline settings:", { basePath: ctx.basePath, aliasPath: ctx.aliasPath, defaultExt: ctx._defaultExt });
-      return ctx;
-    }
-    const ctx = await discoverFlareContextAutoprobe();
-    ctx._defaultExt = "htm";
-    return ctx;
+if (typeof module === "object" && module.exports) module.exports = CopyCSHCore;
+
+// -----------------------------------------------------------------------------
+if (typeof document !== "undefined") document.addEventListener("DOMContentLoaded", () => {
+  // Adopt inline logLevel if provided
+  const cfgInlineOnce = getInlineConfig();
+  let logLevel = Number((cfgInlineOnce && typeof cfgInlineOnce.logLevel === "number") ? cfgInlineOnce.logLevel : (window.CopyCSH?.logLevel ?? 1));
+  const buttonSelector = window.CopyCSH?.buttonSelector || ".copy-url-button";
+  const toastDuration = Number(window.CopyCSH?.toastDuration ?? 1500);
+  const sectionLinks = !!cfgInlineOnce.sectionLinks;
+  const headingSelector = cfgInlineOnce.headingSelector || "h1, h2, h3, h4";
+  const copyMenu = cfgInlineOnce.copyMenu;
+  const linkContextMenu = cfgInlineOnce.linkContextMenu;
+  const linkButtons = cfgInlineOnce.linkButtons;
+  const linkButtonSelector = cfgInlineOnce.linkButtonSelector || "a[href]";
+  const qrCode = cfgInlineOnce.qrCode;
+  const share = cfgInlineOnce.share && typeof navigator.share === "function";
+
+  function log(level, ...args) { if (logLevel >= level) console.log(...args); }
+  function warn(...args) { console.warn(...args); }
+  function error(...args) { console.error(...args); }
+
+  // DOM events for other scripts: copycsh:ready, copycsh:copied, copycsh:shared, copycsh:fallback,
+  // copycsh:incoming, copycsh:error.
+  function emit(name, detail = {}) {
+    document.dispatchEvent(new CustomEvent(`copycsh:${name}`, { detail }));
   }
+
+  // Keep in step with the header comment and package.json.
+  const VERSION = "2.1.0";
+
+  log(1, `copy-csh v${VERSION} loaded.`);
+
+  // =============== Utilities ===============
+  const { stripLeadingSlash, stripUrlVariables, joinBase, relativeToBase, candidateBases, heuristicBase, parseHashRoute } = CopyCSHCore;
+  function sleep(ms) { return new Promise(res => setTimeout(res, ms)); }
+  // A real DOM event from the user. CopyCSH.copy is public, so an object that only claims isTrusted
+  // must not pass.
+  function isUserGesture(event) { return event instanceof window.Event && event.isTrusted; }
+  // Pages opened from file:// have the opaque origin "null"; their links start with "file://" instead.
+  const pageOrigin = window.location.protocol === "file:" ? "file://" : window.location.origin;
+  async function withTimeout(promise, ms, abortController) {
+    const t = setTimeout(() => abortController.abort(), ms);
+    try { return await promise; } finally { clearTimeout(t); }
+  }
+
+  // =============== Config helpers (inline only) ===============
+  function getInlineConfig() {
+    const raw = window.CopyCSH || {};
+    return {
+      useCustomSettings: !!raw.useCustomSettings,
+      basePath: typeof raw.basePath === "string" ? raw.basePath : undefined,
+      aliasPath: typeof raw.aliasPath === "string" ? raw.aliasPath : undefined,
+      defaultExt: typeof raw.defaultExt === "string" ? raw.defaultExt.toLowerCase() : "htm",
+      logLevel: typeof raw.logLevel === "number" ? raw.logLevel : undefined,
+      buttonSelector: typeof raw.buttonSelector === "string" ? raw.buttonSelector : undefined,
+      toastDuration: typeof raw.toastDuration === "number" ? raw.toastDuration : undefined,
+      sectionLinks: !!raw.sectionLinks,
+      headingSelector: typeof raw.headingSelector === "string" ? raw.headingSelector : undefined,
+      copyFormat: typeof raw.copyFormat === "string" ? raw.copyFormat.toLowerCase() : undefined,
+      copyMenu: !!raw.copyMenu,
+      copyShortcut: typeof raw.copyShortcut === "string" ? raw.copyShortcut.trim() : "",
+      linkContextMenu: !!raw.linkContextMenu,
+      linkButtons: !!raw.linkButtons,
+      linkButtonSelector: typeof raw.linkButtonSelector === "string" && raw.linkButtonSelector.trim() ? raw.linkButtonSelector.trim() : undefined,
+      qrCode: !!raw.qrCode,
+      share: !!raw.share,
+      aliasCacheTTL: typeof raw.aliasCacheTTL === "number" ? raw.aliasCacheTTL : undefined,
+      aliasCacheStorage: typeof raw.aliasCacheStorage === "string" ? raw.aliasCacheStorage.toLowerCase() : undefined,
+      prefetchAliases: !!raw.prefetchAliases,
+      linkTemplate: typeof raw.linkTemplate === "string" && raw.linkTemplate.trim() ? raw.linkTemplate.trim() : undefined,
+      fallbackTemplate: typeof raw.fallbackTemplate === "string" && raw.fallbackTemplate.trim() ? raw.fallbackTemplate.trim() : undefined,
+      canonicalOrigins: raw.canonicalOrigins && typeof raw.canonicalOrigins === "object" ? raw.canonicalOrigins : {},
+      keepQueryParams: Array.isArray(raw.keepQueryParams) ? raw.keepQueryParams.map(String) : [],
+      versions: Array.isArray(raw.versions)
+        ? raw.versions.filter(v => v && typeof v.basePath === "string").map(v => ({
+          label: String(v.label || v.basePath),
+          basePath: v.basePath === "/" ? "/" : "/" + v.basePath.replace(/^\/+|\/+$/g, ""),
+          aliasPath: typeof v.aliasPath === "string" ? v.aliasPath : undefined
+        }))
+        : [],
+      defaultVersion: typeof raw.defaultVersion === "string" ? raw.defaultVersion.trim() : "",
+      diagnostics: !!raw.diagnostics,
+      resolveIncomingLinks: !!raw.resolveIncomingLinks,
+      analyticsEndpoint: typeof raw.analyticsEndpoint === "string" ? raw.analyticsEndpoint.trim() : "",
+      analyticsCallback: typeof raw.analyticsCallback === "function" ? raw.analyticsCallback : null,
+      analyticsConsent: typeof raw.analyticsConsent === "function" ? raw.analyticsConsent : null,
+      analyticsBatchSize: typeof raw.analyticsBatchSize === "number" && raw.analyticsBatchSize >= 1 ? Math.floor(raw.analyticsBatchSize) : 10,
+      analyticsFlushInterval: typeof raw.analyticsFlushInterval === "number" ? Math.max(0, raw.analyticsFlushInterval) : 10000,
+      lang: typeof raw.lang === "string" ? raw.lang.trim().toLowerCase() : "",
+      strings: raw.strings && typeof raw.strings === "object" ? raw.strings : {},
+      colorScheme: ["light", "dark"].includes(raw.colorScheme) ? raw.colorScheme : "auto",
+      injectStyles: raw.injectStyles !== false
+    };
+  }
+
+  function finalizeFromBaseAndAlias(basePath, aliasPath) {
+    const base = basePath === "/" ? "/" : basePath.replace(/\/+$/,"");
+    const alias = aliasPath.startsWith("/") ? aliasPath : "/" + aliasPath;
+    return { basePath: base, aliasPath: alias, targetRelative: topicPathRelativeTo(base) };
+  }
+
+  // Topic path relative to the output root. Tripane routes carry it in the hash of Default.*.
+  function topicPathRelativeTo(basePath) {
+    const route = hashRoute();
+    return relativeToBase(route ? joinBase(route.rootPath, route.topicPath) : window.location.pathname, basePath);
+  }
+
+  // =============== Flare runtime metadata and hash routes ===============
+  // Flare stamps topics with data-mc-* attributes on <html>; data-mc-path-to-help-system is the
+  // relative path from the topic to the output root, whatever the output folder is called.
+  function readFlareMetadata() {
+    const html = document.documentElement;
+    const meta = {};
+    document.querySelectorAll("meta[name]").forEach(m => {
+      const name = m.getAttribute("name");
+      if (/^madcap:/i.test(name)) meta[name.slice(7).toLowerCase()] = m.getAttribute("content") || "";
+    });
+    return {
+      pathToHelpSystem: html.getAttribute("data-mc-path-to-help-system") ?? meta.pathtohelpsystem ?? null,
+      helpSystemFileName: html.getAttribute("data-mc-help-system-file-name") || meta.helpsystemfilename || null,
+      targetType: html.getAttribute("data-mc-target-type") || meta.targettype || null,
+      runtimeFileType: html.getAttribute("data-mc-runtime-file-type") || meta.runtimefiletype || null,
+      meta
+    };
+  }
+
+  function metadataBase() {
+    const { pathToHelpSystem } = readFlareMetadata();
+    if (pathToHelpSystem === null) return null;
+    try {
+      const root = new URL(pathToHelpSystem || "./", window.location.href);
+      if (root.origin !== window.location.origin) return null;
+      return root.pathname.replace(/\/+$/, "") || "/";
+    } catch {
+      return null;
+    }
+  }
+
+  // Topics shown inside a Tripane frame use the parent's route.
+  function hashRoute() {
+    const own = parseHashRoute(window.location);
+    if (own || window.parent === window) return own;
+    try {
+      return parseHashRoute(window.parent.location);
+    } catch {
+      return null; // cross-origin parent
+    }
+  }
+
+  // Clean link to the current topic: no query or skin parameters, but Tripane routes keep their hash.
+  function cleanTopicUrl(anchor) {
+    const route = hashRoute();
+    if (route) {
+      const bookmark = anchor ? `%23${encodeURIComponent(anchor)}` : "";
+      return `${pageOrigin}${route.defaultPath}#${encodeURI(route.topicPath)}${bookmark}`;
+    }
+    return stripUrlVariables(window.location.href) + keptQuery() + (anchor ? `#${encodeURIComponent(anchor)}` : "");
+  }
+
+  // "?a=1&b=2" limited to the keepQueryParams allow-list ("" when nothing is kept).
+  function keptQuery() {
+    const keep = cfgInlineOnce.keepQueryParams;
+    if (!keep.length) return "";
+    const params = new URLSearchParams(window.location.search);
+    const kept = new URLSearchParams();
+    params.forEach((value, key) => { if (keep.includes(key)) kept.append(key, value); });
+    const query = kept.toString();
+    return query ? `?${query}` : "";
+  }
+
+  // =============== Auto-discovery (fallback if inline disabled) ===============
+  // HEAD is enough to learn whether Data/Alias.xml exists; servers that reject it get GET from then on.
+  let probeMethod = "HEAD";
+
+  // marker is a file every output of that kind has: Data/Alias.xml (CSH enabled) or Data/HelpSystem.xml.
+  // Resolves to { ok, base, marker, status }; status is the HTTP status or why there was none.
+  async function probeBase(base, marker, signal) {
+    const url = window.location.origin + joinBase(base, marker);
+    const ac = new AbortController();
+    signal?.addEventListener("abort", () => ac.abort());
+    const request = (method) => withTimeout(fetch(url, {
+      method,
+      mode: "same-origin",
+      credentials: "same-origin",
+      cache: "no-store",
+      signal: ac.signal
+    }), 2000, ac);
+    try {
+      const method = probeMethod;
+      let resp = await request(method);
+      if (resp && (resp.status === 405 || resp.status === 501) && method === "HEAD") {
+        if (probeMethod === "HEAD") log(2, "HEAD not allowed; probing with GET.");
+        probeMethod = "GET";
+        resp = await request("GET");
+      }
+      log(2, "Probe", url, resp ? resp.status : "no response");
+      return { ok: !!resp?.ok, base, marker, status: resp ? resp.status : "no response" };
+    } catch (err) {
+      return { ok: false, base, marker, status: err?.name === "AbortError" ? "aborted" : String(err?.message || err) };
+    }
+  }
+
+  // Bases found earlier in this browser session. A page whose own output root is one of them skips
+  // probing; any other page under one of them checks it first (it may be in a nested output).
+  const KNOWN_BASES_KEY = "copy-csh:bases";
+
+  function readKnownBases() {
+    try { return JSON.parse(window.sessionStorage.getItem(KNOWN_BASES_KEY) || "[]"); } catch { return []; }
+  }
+
+  function rememberBase(base) {
+    try {
+      const bases = readKnownBases().filter(b => b !== base);
+      bases.unshift(base);
+      window.sessionStorage.setItem(KNOWN_BASES_KEY, JSON.stringify(bases.slice(0, 10)));
+    } catch { /* storage disabled */ }
+  }
+
+  // The site root is never used: every output on the site would match it.
+  function knownBaseFor(pathname) {
+    return readKnownBases()
+      .map(b => b.replace(/\/+$/, ""))
+      .filter(b => b && pathname.startsWith(b + "/"))
+      .sort((x, y) => y.length - x.length)[0] || null;
+  }
+
+  // All candidates are probed at once; the first candidate in priority order that answers wins,
+  // and slower lower-priority probes are aborted.
+  async function probeCandidates(candidates, marker) {
+    const ac = new AbortController();
+    const probes = candidates.map(base => probeBase(base, marker, ac.signal));
+    try {
+      for (const probe of probes) {
+        const res = await probe;
+        if (res.ok) return res;
+      }
+      return null;
+    } finally {
+      ac.abort();
+    }
+  }
+
+  // How the base was found, for the diagnostics panel.
+  let discoverySource = null;
+
+  async function discoverBase() {
+    const p = window.location.pathname;
+    const found = (basePath, how) => {
+      log(1, `Using base from ${how}:`, basePath);
+      discoverySource = how;
+      rememberBase(basePath);
+      return { basePath, aliasPath: joinBase(basePath, "Data/Alias.xml") };
+    };
+
+    const route = hashRoute();
+    if (route) return found(route.rootPath, "Tripane hash route");
+
+    const fromMeta = metadataBase();
+    if (fromMeta) return found(fromMeta, "Flare topic metadata");
+
+    if (embeddedIndex?.root) return found(embeddedIndex.root, "embedded alias index");
+
+    const candidates = candidateBases(p);
+
+    const known = knownBaseFor(p);
+    if (known && known === heuristicBase(p)) {
+      log(1, "Using base found earlier this session:", known);
+      discoverySource = "base found earlier this session";
+      return { basePath: known, aliasPath: joinBase(known, "Data/Alias.xml") };
+    }
+    if (known) {
+      // Deeper candidates first: an output nested inside the remembered one has its own Alias.xml.
+      const deeper = candidates.filter(c => c.startsWith(known + "/")).sort((x, y) => y.length - x.length);
+      const res = await probeCandidates([...deeper, known], "Data/Alias.xml");
+      if (res) {
+        log(1, res.base === known ? "Confirmed base found earlier this session:" : "Found nested output under base found earlier this session:", res.base);
+        discoverySource = res.base === known ? "base found earlier this session (confirmed)" : `probe (${res.marker})`;
+        rememberBase(res.base);
+        return { basePath: res.base, aliasPath: joinBase(res.base, "Data/Alias.xml") };
+      }
+      log(2, "Base found earlier this session did not answer:", known);
+    }
+
+    log(2, "Probe candidates:", candidates);
+
+    // Alias.xml marks a CSH-enabled output; HelpSystem.xml finds the root of outputs without one.
+    const res = await probeCandidates(candidates, "Data/Alias.xml")
+      || await probeCandidates(candidates, "Data/HelpSystem.xml");
+    if (res) {
+      discoverySource = `probe (${res.marker})`;
+      rememberBase(res.base);
+      return { basePath: res.base, aliasPath: joinBase(res.base, "Data/Alias.xml") };
+    }
+
+    const basePath = heuristicBase(p);
+    const aliasPath = joinBase(basePath, "Data/Alias.xml");
+    warn("Alias.xml probe failed; using heuristic base:", basePath, "aliasPath:", aliasPath);
+    discoverySource = "heuristic (no probe answered)";
+    return { basePath, aliasPath };
+  }
+
+  // The base is resolved once per page (started at load) and shared by every click.
+  let baseDiscovery = null;
+
+  async function discoverFlareContextAutoprobe() {
+    const firstRun = !baseDiscovery;
+    if (firstRun) baseDiscovery = discoverBase();
+    const { basePath, aliasPath } = await baseDiscovery;
+
+    const targetRelative = topicPathRelativeTo(basePath);
+
+    if (firstRun) {
+      log(1, "Determined basePath:", basePath);
+      log(1, "Determined aliasPath:", aliasPath);
+      log(1, "Determined targetRelative:", targetRelative);
+    }
+
+    return { basePath, aliasPath, targetRelative };
+  }
+
+  // =============== Unified discovery (inline override OR auto) ===============
+  async function discoverFlareContextWithInline() {
+    const cfg = getInlineConfig();
+    if (cfg.useCustomSettings && (cfg.basePath || cfg.aliasPath)) {
+      const base = cfg.basePath || "/";
+      const alias = cfg.aliasPath || (base === "/" ? "/Data/Alias.xml" : base.replace(/\/+$/,"") + "/Data/Alias.xml");
+      const ctx = finalizeFromBaseAndAlias(base, alias);
+      ctx._defaultExt = cfg.defaultExt || "htm";
+      // adopt potential runtime change to log level
+      if (typeof cfg.logLevel === "number") logLevel = cfg.logLevel;
+      log(1, "Using inline settings:", { basePath: ctx.basePath, aliasPath: ctx.aliasPath, defaultExt: ctx._defaultExt });
+      discoverySource = "inline settings";
+      return ctx;
+    }
+    // fallback to auto-discovery
+    const ctx = await discoverFlareContextAutoprobe();
+    ctx._defaultExt = "htm";
+    return ctx;
+  }
+
+  // =============== Alias.xml match (cached index, revalidated after aliasCacheTTL) ===============
+  // One parsed index per Alias.xml URL: { maps, index, ts, etag, lastModified, source }, where source
+  // ("network", "storage" or "embedded") is where it last came from.
+  const aliasCaches = new Map();
+  const aliasCacheTTL = Math.max(0, cfgInlineOnce.aliasCacheTTL ?? 10 * 60 * 1000);
+  const ALIAS_STORAGE_PREFIX = "copy-csh:alias:";
+
+  function aliasStorage() {
+    try {
+      if (cfgInlineOnce.aliasCacheStorage === "none") return null;
+      return cfgInlineOnce.aliasCacheStorage === "local" ? window.localStorage : window.sessionStorage;
+    } catch {
+      return null; // storage disabled (privacy mode, sandboxed iframe)
+    }
+  }
+
+  // Only [path, cshId, name] triples are stored; the index is rebuilt from them on restore.
+  function saveAliasCache(xmlUrl, cache) {
+    const storage = aliasStorage();
+    if (!storage) return;
+    const record = {
+      v: 2,
+      ts: cache.ts,
+      etag: cache.etag,
+      lastModified: cache.lastModified,
+      maps: cache.maps.map(m => [m.path, m.cshId, m.name])
+    };
+    try {
+      storage.setItem(ALIAS_STORAGE_PREFIX + xmlUrl, JSON.stringify(record));
+    } catch (err) {
+      log(2, "Could not store Alias.xml index:", err);
+    }
+  }
+
+  function restoreAliasCache(xmlUrl) {
+    const storage = aliasStorage();
+    if (!storage) return null;
+    try {
+      const record = JSON.parse(storage.getItem(ALIAS_STORAGE_PREFIX + xmlUrl) || "null");
+      if (record?.v !== 2 || !Array.isArray(record.maps)) return null; // v1 kept only lowercased links
+      const maps = record.maps.map(([link, resolvedId, name]) => ({ link, resolvedId, name }));
+      const cache = { ...CopyCSHCore.buildAliasIndex(maps), ts: record.ts, etag: record.etag, lastModified: record.lastModified, source: "storage" };
+      log(2, "Restored Alias.xml index from storage:", xmlUrl, `(${cache.maps.length} maps)`);
+      return cache;
+    } catch {
+      return null;
+    }
+  }
+
+  function cachedAliasIndex(xmlUrl) {
+    if (!aliasCaches.has(xmlUrl)) {
+      const restored = restoreAliasCache(xmlUrl);
+      if (restored) aliasCaches.set(xmlUrl, restored);
+    }
+    return aliasCaches.get(xmlUrl) || null;
+  }
+
+  // Fetches and indexes Alias.xml, replacing the cache. A previously seen copy is revalidated with
+  // If-None-Match / If-Modified-Since, so an unchanged file costs a 304 instead of a full download.
+  // Throws on network/size errors.
+  async function loadAliasIndex(aliasPath) {
+    const xmlUrl = window.location.origin + aliasPath;
+    const previous = cachedAliasIndex(xmlUrl);
+    log(1, "Fetching Alias.xml from:", xmlUrl);
+
+    const headers = {};
+    if (previous?.etag) headers["If-None-Match"] = previous.etag;
+    if (previous?.lastModified) headers["If-Modified-Since"] = previous.lastModified;
+
+    const ac = new AbortController();
+    const response = await Promise.race([
+      fetch(xmlUrl, {
+        cache: "no-store",
+        mode: "same-origin",
+        credentials: "same-origin",
+        headers,
+        signal: ac.signal
+      }),
+      (async () => { await sleep(4000); ac.abort(); })()
+    ]);
+
+    if (response?.status === 304 && previous) {
+      log(2, "Alias.xml unchanged (304); keeping cached index.");
+      previous.ts = Date.now();
+      previous.source = "network";
+      saveAliasCache(xmlUrl, previous);
+      return previous;
+    }
+    if (!response || !response.ok) throw new Error("Failed to fetch XML");
+
+    const xmlText = await response.text();
+    if (xmlText.length > CopyCSHCore.MAX_ALIAS_LENGTH) throw new Error("Alias.xml too large");
+    log(2, "Alias.xml bytes:", xmlText.length);
+
+    const xmlDoc = new DOMParser().parseFromString(xmlText, "application/xml");
+    const maps = Array.from(xmlDoc.getElementsByTagName("Map"), map => ({
+      link: map.getAttribute("Link"),
+      name: map.getAttribute("Name"),
+      resolvedId: map.getAttribute("ResolvedId")
+    }));
+
+    // Build/refresh indices
+    const cache = {
+      ...CopyCSHCore.buildAliasIndex(maps),
+      ts: Date.now(),
+      etag: response.headers?.get("ETag") || null,
+      lastModified: response.headers?.get("Last-Modified") || null,
+      source: "network"
+    };
+    aliasCaches.set(xmlUrl, cache);
+    saveAliasCache(xmlUrl, cache);
+    return cache;
+  }
+
+  // =============== Embedded alias index (tools/build-alias-index.js) ===============
+  // The build step writes copy-csh-alias-index.js next to this script; included by the master page, it
+  // sets window.CopyCSHAliasIndex = { v, alias, root, data }. root is the output folder (from the
+  // index script's own URL) and alias the Alias.xml it was built from, relative to root. When it covers
+  // the Alias.xml being looked up it is used instead of fetching, so lookups work offline and from file://.
+  const embeddedIndex = (() => {
+    const raw = window.CopyCSHAliasIndex;
+    if (!raw) return null;
+    if (raw.v !== 1 || !raw.data || typeof raw.alias !== "string") {
+      warn("Ignoring embedded alias index in an unknown format; rebuild it with tools/build-alias-index.js.");
+      return null;
+    }
+    const root = typeof raw.root === "string" ? raw.root.replace(/\/+$/, "") || "/" : null;
+    return { root, alias: stripLeadingSlash(raw.alias), data: raw.data, cache: null };
+  })();
+
+  function embeddedAliasIndex(aliasPath) {
+    if (!embeddedIndex) return null;
+    const { root, alias } = embeddedIndex;
+    const covers = root ? joinBase(root, alias) === aliasPath : aliasPath.endsWith("/" + alias);
+    if (!covers) return null;
+    if (!embeddedIndex.cache) {
+      embeddedIndex.cache = { ...CopyCSHCore.hydrateAliasIndex(embeddedIndex.data), ts: Date.now(), source: "embedded" };
+      log(1, "Using embedded alias index:", `${embeddedIndex.cache.maps.length} maps`);
+    }
+    return embeddedIndex.cache;
+  }
+
+  // Cached index while it is younger than aliasCacheTTL, else a (conditional) reload.
+  // Resolves to { cache, revalidated } where revalidated means the server was asked just now
+  // (always true for the embedded index: it is as current as the build, so there is nothing to ask).
+  async function ensureAliasIndex(aliasPath, force = false) {
+    const embedded = embeddedAliasIndex(aliasPath);
+    if (embedded) return { cache: embedded, revalidated: true };
+    const cached = cachedAliasIndex(window.location.origin + aliasPath);
+    if (cached && !force && (Date.now() - cached.ts) <= aliasCacheTTL) return { cache: cached, revalidated: false };
+    return { cache: await loadAliasIndex(aliasPath), revalidated: true };
+  }
+
+  // First alias is the one copied by default; `aliases` lists every Map entry for the topic.
+  function toCshResult(hits) {
+    return { cshId: hits[0].cshId, correctExtension: hits[0].ext, aliases: hits };
+  }
+
+  // Ambiguous file-name matches are treated as "no CSHID" so the clean URL is copied instead.
+  function reportAmbiguousMatch(match, targetRelative) {
+    warn("Several topics share this file name in Alias.xml; not guessing a CSH ID for:", targetRelative);
+    log(2, "Ambiguous file-name candidates (link, shared path segments):", match.candidates);
+    return null;
+  }
+
+  // CSHID of an alias for the bookmark itself (Link="topic.htm#anchor"), or null. Only the path tiers
+  // count, and a miss is not revalidated: most headings have no alias of their own, and getCshId then
+  // looks up (and, if needed, revalidates) the topic.
+  async function getBookmarkCshId(aliasPath, targetRelative, anchor) {
+    try {
+      const { cache } = await ensureAliasIndex(aliasPath);
+      const match = CopyCSHCore.matchAliasIndex(cache.index, `${targetRelative}#${anchor}`);
+      return match && match.tier !== "file" ? toCshResult(match.hits) : null;
+    } catch {
+      return null; // getCshId reports the error
+    }
+  }
+
+  async function getCshId(aliasPath, targetRelative) {
+    try {
+      let { cache, revalidated } = await ensureAliasIndex(aliasPath);
+      let match = CopyCSHCore.matchAliasIndex(cache.index, targetRelative);
+
+      // A miss on a cached index may be a newly added alias: revalidate (a 304 when unchanged) and retry once.
+      if (!match && !revalidated) {
+        ({ cache } = await ensureAliasIndex(aliasPath, true));
+        match = CopyCSHCore.matchAliasIndex(cache.index, targetRelative);
+      }
+
+      if (match?.ambiguous) return reportAmbiguousMatch(match, targetRelative);
+      if (match) {
+        const hits = match.hits;
+        log(1, revalidated ? "CSH match:" : "CSH (cached) match:", hits);
+        if (match.tier === "file") log(2, "Matched by file name only:", match.candidates);
+        if (hits.length > 1) log(2, `${hits.length} aliases point at this topic:`, hits.map(h => h.name || h.cshId));
+        return toCshResult(hits);
+      }
+
+      warn("No match found in Alias.xml for:", targetRelative);
+      return null;
+    } catch (err) {
+      error("Error fetching/parsing Alias.xml:", err);
+      emit("error", { type: "lookup-error", aliasPath, targetRelative, error: err });
+      track("lookup-error", { targetRelative });
+      return null;
+    }
+  }
+
+  // =============== Analytics (opt-in) ===============
+  // Shows which topics are shared most and where copies fall back to the clean URL for lack of a CSHID.
+  // A record is { type, topic, cshId, format, output, version?, time }: the topic path relative to the
+  // output, never the page URL, its query, or anything about the reader.
+  const analyticsEnabled = !!(cfgInlineOnce.analyticsEndpoint || cfgInlineOnce.analyticsCallback);
+  const analyticsQueue = [];
+  let analyticsTimer = null;
+
+  function doNotTrack() {
+    return [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack].some(v => v === "1" || v === "yes")
+      || navigator.globalPrivacyControl === true;
+  }
+
+  // Asked when an event is recorded and again when the batch is sent, so withdrawn consent drops the queue.
+  function analyticsAllowed() {
+    if (!analyticsEnabled || doNotTrack()) return false;
+    const consent = cfgInlineOnce.analyticsConsent;
+    if (!consent) return true;
+    try {
+      return consent() === true;
+    } catch (err) {
+      warn("analyticsConsent failed; not sending analytics:", err);
+      return false;
+    }
+  }
+
+  // type: "copied" (with a CSHID), "fallback" (clean URL copied), "clipboard-denied", "lookup-error" or "shared".
+  function track(type, { targetRelative = null, cshId = null, format = null, version = null } = {}) {
+    if (!analyticsAllowed()) return;
+    analyticsQueue.push({
+      type,
+      topic: targetRelative,
+      cshId: cshId || null,
+      format,
+      output: knownContext?.basePath ?? null,
+      ...(version ? { version } : {}),
+      time: new Date().toISOString()
+    });
+    if (analyticsQueue.length >= cfgInlineOnce.analyticsBatchSize) flushAnalytics();
+    else if (!analyticsTimer) analyticsTimer = setTimeout(flushAnalytics, cfgInlineOnce.analyticsFlushInterval);
+  }
+
+  function flushAnalytics() {
+    clearTimeout(analyticsTimer);
+    analyticsTimer = null;
+    const events = analyticsQueue.splice(0);
+    if (!events.length || !analyticsAllowed()) return;
+    log(2, "Sending analytics:", events);
+
+    const { analyticsEndpoint: endpoint, analyticsCallback: callback } = cfgInlineOnce;
+    if (callback) {
+      try { callback(events); } catch (err) { warn("analyticsCallback failed:", err); }
+    }
+    if (!endpoint) return;
+    // text/plain keeps a cross-origin beacon a simple request, with no CORS preflight; the body is JSON.
+    const body = JSON.stringify({ v: 1, events });
+    if (typeof navigator.sendBeacon === "function") {
+      if (!navigator.sendBeacon(endpoint, new Blob([body], { type: "text/plain;charset=UTF-8" }))) warn("Analytics beacon was not queued by the browser.");
+      return;
+    }
+    fetch(endpoint, { method: "POST", body, keepalive: true, mode: "no-cors", credentials: "omit", headers: { "Content-Type": "text/plain;charset=UTF-8" } })
+      .catch(err => log(2, "Analytics request failed:", err));
+  }
+
+  // A batch still waiting when the reader leaves (or hides the tab) is sent then; beacons survive unload.
+  function initAnalytics() {
+    window.addEventListener("pagehide", flushAnalytics);
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") flushAnalytics();
+    });
+    log(1, "Analytics enabled", doNotTrack() ? "(but Do Not Track / Global Privacy Control is on)" : "");
+  }
+
+  // =============== UI strings ===============
+  // {name} placeholders are filled in by t().
+  const STRINGS = {
+    en: {
+      copied: "Copied to clipboard!",
+      copiedShort: "Copied!",
+      selectAndCopy: "Select & copy.",
+      copyManually: "Copy URL manually:",
+      copyFormatManually: "Copy {format} manually:",
+      copy: "Copy",
+      close: "Close",
+      menuLabel: "Copy link as",
+      menuLinkLabel: "Copy link to “{title}” as",
+      menuLinkCaption: "Copy link to “{title}”",
+      formatUrl: "Plain URL",
+      formatMarkdown: "Markdown",
+      formatHtml: "HTML link",
+      formatRich: "Rich text",
+      aliasesItem: "CSH IDs for this topic…",
+      aliasesTitle: "CSH IDs for this topic ({count}):",
+      noAliases: "No CSH IDs point to this topic.",
+      aliasName: "{name} (ID {id})",
+      copyCshid: "Copy #cshid={id}",
+      sectionButton: "Copy link to this section",
+      sectionButtonLabel: "Copy link to section: {title}",
+      linkButton: "Copy CSH link",
+      linkButtonLabel: "Copy CSH link to: {title}",
+      qrCode: "QR code",
+      qrMenu: "Show QR code",
+      qrTitle: "Scan or copy the link:",
+      qrImage: "QR code for this link",
+      qrTooLong: "This link is too long for a QR code.",
+      share: "Share…",
+      shareButton: "Share",
+      versionsItem: "Link to another version…",
+      versionsTitle: "Link to this topic in:",
+      versionCurrent: "{label} (this version)",
+      versionMissing: "Topic not in this version",
+      versionUnavailable: "Could not check this version",
+      versionCopy: "Copy link",
+      versionCopyLabel: "Copy link to {label}",
+      diagTitle: "copy-csh diagnostics",
+      diagCopy: "Copy report",
+      diagCopied: "Report copied!",
+      diagCopyManually: "Copy the report manually:",
+      unknownCshid: "No topic has the help ID “{id}”. The link may be out of date, so this page is shown instead."
+    },
+    de: {
+      copied: "In die Zwischenablage kopiert!",
+      copiedShort: "Kopiert!",
+      selectAndCopy: "Markieren und kopieren.",
+      copyManually: "URL manuell kopieren:",
+      copyFormatManually: "{format} manuell kopieren:",
+      copy: "Kopieren",
+      close: "Schließen",
+      menuLabel: "Link kopieren als",
+      menuLinkLabel: "Link zu „{title}“ kopieren als",
+      menuLinkCaption: "Link zu „{title}“ kopieren",
+      formatUrl: "Einfache URL",
+      formatMarkdown: "Markdown",
+      formatHtml: "HTML-Link",
+      formatRich: "Formatierter Text",
+      aliasesItem: "CSH-IDs für dieses Thema…",
+      aliasesTitle: "CSH-IDs für dieses Thema ({count}):",
+      noAliases: "Für dieses Thema gibt es keine CSH-IDs.",
+      aliasName: "{name} (ID {id})",
+      copyCshid: "#cshid={id} kopieren",
+      sectionButton: "Link zu diesem Abschnitt kopieren",
+      sectionButtonLabel: "Link zum Abschnitt kopieren: {title}",
+      linkButton: "CSH-Link kopieren",
+      linkButtonLabel: "CSH-Link kopieren: {title}",
+      qrCode: "QR-Code",
+      qrMenu: "QR-Code anzeigen",
+      qrTitle: "Link scannen oder kopieren:",
+      qrImage: "QR-Code für diesen Link",
+      qrTooLong: "Dieser Link ist für einen QR-Code zu lang.",
+      share: "Teilen…",
+      shareButton: "Teilen",
+      versionsItem: "Link zu anderer Version…",
+      versionsTitle: "Link zu diesem Thema in:",
+      versionCurrent: "{label} (diese Version)",
+      versionMissing: "Thema fehlt in dieser Version",
+      versionUnavailable: "Version konnte nicht geprüft werden",
+      versionCopy: "Link kopieren",
+      versionCopyLabel: "Link zu {label} kopieren",
+      diagTitle: "copy-csh-Diagnose",
+      diagCopy: "Bericht kopieren",
+      diagCopied: "Bericht kopiert!",
+      diagCopyManually: "Bericht manuell kopieren:",
+      unknownCshid: "Kein Thema hat die Hilfe-ID „{id}“. Der Link ist möglicherweise veraltet, daher wird stattdessen diese Seite angezeigt."
+    },
+    fr: {
+      copied: "Copié dans le presse-papiers\u00a0!",
+      copiedShort: "Copié\u00a0!",
+      selectAndCopy: "Sélectionnez et copiez.",
+      copyManually: "Copiez l’URL manuellement\u00a0:",
+      copyFormatManually: "Copiez le lien ({format}) manuellement\u00a0:",
+      copy: "Copier",
+      close: "Fermer",
+      menuLabel: "Copier le lien au format",
+      menuLinkLabel: "Copier le lien vers «\u00a0{title}\u00a0» au format",
+      menuLinkCaption: "Copier le lien vers «\u00a0{title}\u00a0»",
+      formatUrl: "URL simple",
+      formatMarkdown: "Markdown",
+      formatHtml: "Lien HTML",
+      formatRich: "Texte enrichi",
+      aliasesItem: "ID CSH de cette rubrique…",
+      aliasesTitle: "ID CSH de cette rubrique ({count})\u00a0:",
+      noAliases: "Aucun ID CSH ne pointe vers cette rubrique.",
+      aliasName: "{name} (ID {id})",
+      copyCshid: "Copier #cshid={id}",
+      sectionButton: "Copier le lien vers cette section",
+      sectionButtonLabel: "Copier le lien vers la section\u00a0: {title}",
+      linkButton: "Copier le lien CSH",
+      linkButtonLabel: "Copier le lien CSH vers\u00a0: {title}",
+      qrCode: "Code QR",
+      qrMenu: "Afficher le code QR",
+      qrTitle: "Scannez ou copiez le lien\u00a0:",
+      qrImage: "Code QR de ce lien",
+      qrTooLong: "Ce lien est trop long pour un code QR.",
+      share: "Partager…",
+      shareButton: "Partager",
+      versionsItem: "Lien vers une autre version…",
+      versionsTitle: "Lien vers cette rubrique dans\u00a0:",
+      versionCurrent: "{label} (cette version)",
+      versionMissing: "Rubrique absente de cette version",
+      versionUnavailable: "Impossible de vérifier cette version",
+      versionCopy: "Copier le lien",
+      versionCopyLabel: "Copier le lien vers {label}",
+      diagTitle: "Diagnostic copy-csh",
+      diagCopy: "Copier le rapport",
+      diagCopied: "Rapport copié\u00a0!",
+      diagCopyManually: "Copiez le rapport manuellement\u00a0:",
+      unknownCshid: "Aucune rubrique n’a l’ID d’aide «\u00a0{id}\u00a0». Le lien est peut-être obsolète\u00a0; cette page est affichée à la place."
+    },
+    ja: {
+      copied: "クリップボードにコピーしました",
+      copiedShort: "コピーしました",
+      selectAndCopy: "選択してコピーしてください。",
+      copyManually: "URL を手動でコピーしてください:",
+      copyFormatManually: "{format} を手動でコピーしてください:",
+      copy: "コピー",
+      close: "閉じる",
+      menuLabel: "リンクのコピー形式",
+      menuLinkLabel: "「{title}」へのリンクのコピー形式",
+      menuLinkCaption: "「{title}」へのリンクをコピー",
+      formatUrl: "URL",
+      formatMarkdown: "Markdown",
+      formatHtml: "HTML リンク",
+      formatRich: "リッチテキスト",
+      aliasesItem: "このトピックの CSH ID…",
+      aliasesTitle: "このトピックの CSH ID ({count}):",
+      noAliases: "このトピックを指す CSH ID はありません。",
+      aliasName: "{name} (ID {id})",
+      copyCshid: "#cshid={id} をコピー",
+      sectionButton: "このセクションへのリンクをコピー",
+      sectionButtonLabel: "セクションへのリンクをコピー: {title}",
+      linkButton: "CSH リンクをコピー",
+      linkButtonLabel: "CSH リンクをコピー: {title}",
+      qrCode: "QR コード",
+      qrMenu: "QR コードを表示",
+      qrTitle: "リンクをスキャンするかコピーしてください:",
+      qrImage: "このリンクの QR コード",
+      qrTooLong: "このリンクは QR コードにするには長すぎます。",
+      share: "共有…",
+      shareButton: "共有",
+      versionsItem: "別のバージョンへのリンク…",
+      versionsTitle: "このトピックへのリンク:",
+      versionCurrent: "{label} (このバージョン)",
+      versionMissing: "このバージョンにはこのトピックがありません",
+      versionUnavailable: "このバージョンを確認できませんでした",
+      versionCopy: "リンクをコピー",
+      versionCopyLabel: "{label} へのリンクをコピー",
+      diagTitle: "copy-csh 診断",
+      diagCopy: "レポートをコピー",
+      diagCopied: "レポートをコピーしました",
+      diagCopyManually: "レポートを手動でコピーしてください:",
+      unknownCshid: "ヘルプ ID「{id}」のトピックはありません。リンクが古い可能性があるため、代わりにこのページを表示しています。"
+    }
+  };
+
+  // The page's language tag (or lang), e.g. "de-ch". Built-in tables: "de-CH" -> "de", and languages
+  // without one fall back to English. Overrides in strings are looked up by the tag and its base
+  // language whether or not there is a built-in table, so strings: { es: {...} } works on Spanish pages.
+  const uiTag = (cfgInlineOnce.lang || document.documentElement.lang || "en").toLowerCase();
+  const uiBase = uiTag.split("-")[0];
+
+  const uiStrings = (() => {
+    const flat = {};
+    const perLang = {};
+    for (const [key, value] of Object.entries(cfgInlineOnce.strings)) {
+      if (typeof value === "string") flat[key] = value;
+      else if (value && typeof value === "object") perLang[key.toLowerCase()] = value;
+    }
+    const builtIn = STRINGS[uiTag] || STRINGS[uiBase] || {};
+    return { ...STRINGS.en, ...builtIn, ...flat, ...perLang[uiBase], ...perLang[uiTag] };
+  })();
+
+  function t(key, vars = {}) {
+    const text = uiStrings[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+  }
+
+  // =============== UI styles ===============
+  // Colours and fonts are custom properties, so a skin can theme the UI with
+  //   :root { --copy-csh-bg: ...; --copy-csh-fg: ...; }
+  // The stylesheet goes first in <head> and declares them with :where() (no specificity), so any
+  // skin rule wins.
+  const LIGHT_PALETTE = `
+    --copy-csh-bg: #ffffff; --copy-csh-fg: #222222; --copy-csh-muted: #666666;
+    --copy-csh-border: #444444; --copy-csh-rule: #dddddd; --copy-csh-hover-bg: #e8eef7;
+    --copy-csh-button-bg: #f3f3f3; --copy-csh-button-border: #555555;
+    --copy-csh-toast-bg: #000000; --copy-csh-toast-fg: #ffffff;
+    --copy-csh-focus: #1a5fb4; --copy-csh-backdrop: rgba(0, 0, 0, .45);`;
+  const DARK_PALETTE = `
+    --copy-csh-bg: #262626; --copy-csh-fg: #eeeeee; --copy-csh-muted: #aaaaaa;
+    --copy-csh-border: #888888; --copy-csh-rule: #444444; --copy-csh-hover-bg: #3d4757;
+    --copy-csh-button-bg: #3a3a3a; --copy-csh-button-border: #999999;
+    --copy-csh-toast-bg: #f2f2f2; --copy-csh-toast-fg: #111111;
+    --copy-csh-focus: #8cb4ff; --copy-csh-backdrop: rgba(0, 0, 0, .6);`;
+
+  function uiStylesheet(scheme) {
+    const palette = scheme === "dark" ? DARK_PALETTE : LIGHT_PALETTE;
+    return `
+:where(:root) {${palette}
+  --copy-csh-font: Arial, sans-serif; --copy-csh-font-size: 13px;
+  --copy-csh-radius: 6px; --copy-csh-shadow: 0 4px 14px rgba(0, 0, 0, .35);
+}
+${scheme === "auto" ? `@media (prefers-color-scheme: dark) { :where(:root) {${DARK_PALETTE} } }` : ""}
+.copy-csh-toast { position: fixed; z-index: 2000; padding: 8px 12px; border-radius: 5px; background: var(--copy-csh-toast-bg); color: var(--copy-csh-toast-fg); font-family: var(--copy-csh-font); font-size: var(--copy-csh-font-size); opacity: .95; pointer-events: none; transition: opacity .5s ease-in-out; }
+.copy-csh-toast.copy-csh-fading { opacity: 0; }
+.copy-csh-dialog, .copy-csh-menu { position: fixed; z-index: 3000; box-sizing: border-box; background: var(--copy-csh-bg); color: var(--copy-csh-fg); border: 1px solid var(--copy-csh-border); border-radius: var(--copy-csh-radius); box-shadow: var(--copy-csh-shadow); font-family: var(--copy-csh-font); font-size: var(--copy-csh-font-size); }
+.copy-csh-dialog { inset: 0; margin: auto; width: min(320px, calc(100vw - 32px)); height: fit-content; max-height: calc(100vh - 32px); overflow-y: auto; padding: 14px 16px; }
+.copy-csh-dialog:is(.copy-csh-aliases, .copy-csh-versions) { width: min(360px, calc(100vw - 32px)); }
+.copy-csh-dialog::backdrop, .copy-csh-backdrop { background: var(--copy-csh-backdrop); }
+.copy-csh-backdrop { position: fixed; inset: 0; z-index: 2999; }
+.copy-csh-dialog-title { margin-bottom: 6px; font-weight: 600; }
+.copy-csh-dialog textarea { box-sizing: border-box; width: 100%; height: 90px; padding: 6px; resize: none; font-size: 12px; background: var(--copy-csh-bg); color: var(--copy-csh-fg); border: 1px solid var(--copy-csh-border); }
+.copy-csh-qr { display: flex; justify-content: center; margin-top: 10px; color: var(--copy-csh-muted); }
+.copy-csh-qr svg { width: min(220px, 100%); height: auto; }
+.copy-csh-actions { display: flex; gap: 8px; justify-content: flex-end; margin-top: 10px; }
+.copy-csh-button { min-width: 24px; min-height: 24px; cursor: pointer; padding: 5px 10px; border: 1px solid var(--copy-csh-button-border); border-radius: 4px; background: var(--copy-csh-button-bg); color: var(--copy-csh-fg); font: inherit; }
+.copy-csh-menu { min-width: 140px; padding: 4px 0; }
+.copy-csh-menu-caption { max-width: 260px; padding: 4px 12px 6px; color: var(--copy-csh-muted); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.copy-csh-menu-item { display: block; width: 100%; min-height: 24px; padding: 5px 12px; border: none; background: transparent; color: inherit; text-align: start; cursor: pointer; font: inherit; }
+.copy-csh-menu-item:hover, .copy-csh-menu-item:focus { background: var(--copy-csh-hover-bg); }
+.copy-csh-alias-list, .copy-csh-version-list { list-style: none; margin: 0; padding: 0; }
+:is(.copy-csh-alias-list, .copy-csh-version-list) li { padding: 6px 0; border-top: 1px solid var(--copy-csh-rule); }
+.copy-csh-alias-link, .copy-csh-version-status { color: var(--copy-csh-muted); font-size: 11px; word-break: break-all; }
+.copy-csh-version-missing .copy-csh-version-status { font-style: italic; }
+.copy-csh-dialog.copy-csh-diagnostics { width: min(640px, calc(100vw - 32px)); }
+.copy-csh-diag { width: 100%; margin-top: 8px; border-collapse: collapse; font-size: 12px; }
+.copy-csh-diag caption { padding: 4px 0; font-weight: 600; text-align: start; }
+.copy-csh-diag th { padding: 2px 8px 2px 0; color: var(--copy-csh-muted); font-weight: normal; text-align: start; vertical-align: top; white-space: nowrap; }
+.copy-csh-diag td { padding: 2px 0; font-family: monospace; word-break: break-all; }
+:is(.copy-csh-alias-list, .copy-csh-version-list) .copy-csh-actions { justify-content: flex-start; margin-top: 4px; }
+:is(.copy-csh-alias-list, .copy-csh-version-list) .copy-csh-button { padding: 3px 8px; }
+.copy-csh-heading-button { min-width: 24px; min-height: 24px; margin-left: 6px; padding: 0 4px; border: none; background: transparent; color: inherit; opacity: .5; cursor: pointer; font-size: .8em; vertical-align: middle; }
+.copy-csh-heading-button:hover, .copy-csh-heading-button:focus { opacity: 1; }
+.copy-csh-link-button { position: fixed; z-index: 2500; min-width: 24px; min-height: 24px; padding: 0 4px; border: 1px solid var(--copy-csh-button-border); border-radius: 3px; background: var(--copy-csh-bg); color: var(--copy-csh-fg); font: bold 10px/16px var(--copy-csh-font); cursor: pointer; opacity: .85; }
+:is(.copy-csh-dialog, .copy-csh-menu, .copy-csh-notice, .copy-csh-heading-button, .copy-csh-link-button) :focus-visible,
+.copy-csh-heading-button:focus-visible, .copy-csh-link-button:focus-visible { outline: 2px solid var(--copy-csh-focus); outline-offset: 2px; }
+.copy-csh-notice { position: sticky; top: 0; z-index: 2400; display: flex; gap: 12px; align-items: center; justify-content: space-between; padding: 8px 12px; background: var(--copy-csh-bg); color: var(--copy-csh-fg); border-bottom: 1px solid var(--copy-csh-border); box-shadow: var(--copy-csh-shadow); font-family: var(--copy-csh-font); font-size: var(--copy-csh-font-size); }
+.copy-csh-sr-only { position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0; }
+@media (max-width: 480px) { .copy-csh-actions { flex-wrap: wrap; } .copy-csh-actions .copy-csh-button { flex: 1 1 auto; min-height: 44px; } }
+@media (prefers-reduced-motion: reduce) { .copy-csh-toast { transition: none; } }
+`;
+  }
+
+  function injectStyles() {
+    if (!cfgInlineOnce.injectStyles || document.getElementById("copy-csh-styles")) return;
+    const style = document.createElement("style");
+    style.id = "copy-csh-styles";
+    style.textContent = uiStylesheet(cfgInlineOnce.colorScheme);
+    document.head.insertBefore(style, document.head.firstChild);
+  }
+
+  // =============== UI: announcements, toast and dialogs ===============
+  // One live region for the whole page. Screen readers watch a region that already exists, so a
+  // toast created with role="status" is often missed; the toast itself is only visual.
+  function liveRegion() {
+    let region = document.getElementById("copy-csh-live");
+    if (!region) {
+      region = document.createElement("div");
+      region.id = "copy-csh-live";
+      region.className = "copy-csh-sr-only";
+      region.setAttribute("role", "status");
+      region.setAttribute("aria-live", "polite");
+      region.setAttribute("aria-atomic", "true");
+      document.body.appendChild(region);
+    }
+    return region;
+  }
+
+  function announce(message) {
+    const region = liveRegion();
+    // Empty first, so the same message twice in a row is announced twice.
+    region.textContent = "";
+    setTimeout(() => { region.textContent = message; }, 50);
+  }
+
+  function showToast(message, event = null) {
+    announce(message);
+    const toast = document.createElement("div");
+    toast.className = "copy-csh-toast";
+    toast.textContent = message;
+    toast.setAttribute("aria-hidden", "true");
+
+    // Default: bottom-right
+    let x = window.innerWidth - 160;
+    let y = window.innerHeight - 80;
+
+    // Prefer near click or button
+    if (event && typeof event.clientX === "number" && typeof event.clientY === "number") {
+      x = event.clientX + 15;
+      y = event.clientY + 20;
+    } else {
+      const btn = document.querySelector(buttonSelector);
+      if (btn) {
+        const rect = btn.getBoundingClientRect();
+        x = rect.right - 40;
+        y = rect.bottom + 10;
+      }
+    }
+
+    // Clamp
+    x = Math.min(Math.max(10, x), window.innerWidth - 200);
+    y = Math.min(Math.max(10, y), window.innerHeight - 60);
+
+    toast.style.left = `${x}px`;
+    toast.style.top = `${y}px`;
+
+    document.body.appendChild(toast);
+    setTimeout(() => {
+      toast.classList.add("copy-csh-fading");
+      setTimeout(() => toast.remove(), 500);
+    }, toastDuration);
+  }
+
+  // Modal dialog. Uses <dialog> and showModal() where available (the browser makes the rest of the page
+  // inert and draws ::backdrop); otherwise a role="dialog" element with its own backdrop. Either way Tab
+  // stays inside, Escape or a click on the backdrop closes it, and focus goes back to where it was
+  // (or to the toolbar button when that control is gone).
+  const FOCUSABLE = "button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex='-1'])";
+  let activeDialog = null;
+
+  function closeDialog() {
+    const state = activeDialog;
+    if (!state) return;
+    activeDialog = null;
+    document.removeEventListener("keydown", state.onKeydown, true);
+    document.removeEventListener("focusin", state.onFocusin, true);
+    if (state.dialog.open) state.dialog.close?.();
+    state.dialog.remove();
+    state.backdrop?.remove();
+    const target = state.returnFocus?.isConnected ? state.returnFocus : document.querySelector(buttonSelector);
+    target?.focus();
+  }
+
+  // title: element naming the dialog; body: elements after it; initialFocus: defaults to the first control.
+  function openDialog({ id, className = "", title, body, initialFocus = null }) {
+    closeDialog();
+    document.getElementById(id)?.remove();
+    const active = document.activeElement;
+    const returnFocus = active && active !== document.body ? active : null;
+
+    const native = typeof document.createElement("dialog").showModal === "function";
+    const dialog = document.createElement(native ? "dialog" : "div");
+    dialog.id = id;
+    dialog.className = `copy-csh-dialog ${className}`.trim();
+    if (!native) dialog.setAttribute("role", "dialog");
+    dialog.setAttribute("aria-modal", "true");
+    title.id = `${id}-title`;
+    dialog.setAttribute("aria-labelledby", title.id);
+    dialog.append(title, ...body);
+
+    let backdrop = null;
+    if (native) {
+      document.body.appendChild(dialog);
+      dialog.showModal();
+      // A click on ::backdrop reaches the dialog itself, outside its box.
+      dialog.addEventListener("click", (e) => {
+        if (e.target !== dialog) return;
+        const r = dialog.getBoundingClientRect();
+        if (e.clientX < r.left || e.clientX > r.right || e.clientY < r.top || e.clientY > r.bottom) closeDialog();
+      });
+    } else {
+      backdrop = document.createElement("div");
+      backdrop.className = "copy-csh-backdrop";
+      backdrop.addEventListener("click", closeDialog);
+      document.body.append(backdrop, dialog);
+    }
+
+    const onKeydown = (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        closeDialog();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const items = Array.from(dialog.querySelectorAll(FOCUSABLE)).filter(el => !el.hidden);
+      if (!items.length) return;
+      const first = items[0];
+      const last = items[items.length - 1];
+      const inside = dialog.contains(document.activeElement);
+      if (e.shiftKey && (!inside || document.activeElement === first)) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && (!inside || document.activeElement === last)) { e.preventDefault(); first.focus(); }
+    };
+    // Focus that escapes anyway (a click on the page, assistive tech) is pulled back in.
+    const onFocusin = (e) => {
+      if (!dialog.contains(e.target)) (dialog.querySelector(FOCUSABLE) || dialog).focus();
+    };
+    document.addEventListener("keydown", onKeydown, true);
+    document.addEventListener("focusin", onFocusin, true);
+    activeDialog = { dialog, backdrop, returnFocus, onKeydown, onFocusin };
+
+    (initialFocus || dialog.querySelector(FOCUSABLE))?.focus();
+    return dialog;
+  }
+
+  function dialogButton(label, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "copy-csh-button";
+    btn.textContent = label;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  // QR code as inline SVG: one path of 1x1 modules plus the 4-module quiet zone scanners need. Always
+  // dark on white, whatever the colour scheme, because not every scanner reads inverted codes.
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  function qrSvg(text) {
+    const qr = CopyCSHCore.encodeQr(text);
+    if (!qr) return null;
+    const quiet = 4;
+    const size = qr.size + quiet * 2;
+    const svg = document.createElementNS(SVG_NS, "svg");
+    svg.setAttribute("viewBox", `0 0 ${size} ${size}`);
+    svg.setAttribute("shape-rendering", "crispEdges");
+    svg.setAttribute("role", "img");
+    svg.setAttribute("aria-label", t("qrImage"));
+
+    const background = document.createElementNS(SVG_NS, "rect");
+    background.setAttribute("width", size);
+    background.setAttribute("height", size);
+    background.setAttribute("fill", "#ffffff");
+
+    let d = "";
+    qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+      if (dark) d += `M${x + quiet} ${y + quiet}h1v1h-1z`;
+    }));
+    const modules = document.createElementNS(SVG_NS, "path");
+    modules.setAttribute("d", d);
+    modules.setAttribute("fill", "#000000");
+
+    svg.append(background, modules);
+    return svg;
+  }
+
+  // With a url, the dialog also gets a QR code toggle (qrCode setting) and a Share button (share setting)
+  // for it; showQr opens it with the QR code already shown.
+  function showManualCopyDialog(text, event = null, labelText = t("copyManually"), { url = null, title = "", showQr = false } = {}) {
+    const label = document.createElement("div");
+    label.className = "copy-csh-dialog-title";
+    label.textContent = labelText;
+
+    const textArea = document.createElement("textarea");
+    textArea.value = text;
+    textArea.setAttribute("readonly", "");
+    textArea.setAttribute("aria-labelledby", "copy-cshid-modal-title");
+
+    const selectForManualCopy = () => {
+      textArea.focus();
+      textArea.select();
+      showToast(t("selectAndCopy"), event);
+    };
+    const copyBtn = dialogButton(t("copy"), () => {
+      if (!navigator.clipboard?.writeText) return selectForManualCopy();
+      navigator.clipboard.writeText(text).then(() => {
+        closeDialog();
+        showToast(t("copiedShort"), event);
+      }, selectForManualCopy);
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "copy-csh-actions";
+    actions.appendChild(copyBtn);
+    const body = [textArea];
+
+    if (url && (qrCode || showQr)) {
+      const qrBox = document.createElement("div");
+      qrBox.id = "copy-cshid-qr";
+      qrBox.className = "copy-csh-qr";
+      qrBox.hidden = true;
+      const qrBtn = dialogButton(t("qrCode"), () => {
+        if (!qrBox.firstChild) qrBox.append(qrSvg(url) || t("qrTooLong"));
+        qrBox.hidden = !qrBox.hidden;
+        qrBtn.setAttribute("aria-expanded", String(!qrBox.hidden));
+      });
+      qrBtn.setAttribute("aria-controls", qrBox.id);
+      qrBtn.setAttribute("aria-expanded", "false");
+      if (showQr) qrBtn.click();
+      body.push(qrBox);
+      actions.appendChild(qrBtn);
+    }
+    if (url && share) {
+      actions.appendChild(dialogButton(t("shareButton"), () => {
+        navigator.share({ title, url }).then(() => {
+          closeDialog();
+          emit("shared", { url, title });
+        }, (err) => {
+          if (err?.name !== "AbortError") warn("Share failed:", err);
+        });
+      }));
+    }
+    actions.appendChild(dialogButton(t("close"), closeDialog));
+    body.push(actions);
+
+    openDialog({ id: "copy-cshid-modal", title: label, body, initialFocus: textArea });
+    textArea.select();
+  }
+
+  // =============== Link formats ===============
+  // Format -> its label in the string table.
+  const LINK_FORMATS = {
+    url: "formatUrl",
+    markdown: "formatMarkdown",
+    html: "formatHtml",
+    rich: "formatRich"
+  };
+  const copyFormat = LINK_FORMATS[cfgInlineOnce.copyFormat] ? cfgInlineOnce.copyFormat : "url";
+
+  function escapeHtml(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+  }
+  function escapeMarkdown(s) { return String(s).replace(/([\\[\]])/g, "\\$1"); }
+
+  // Visible heading text, without the copy buttons this script injects.
+  function headingText(el) {
+    const clone = el.cloneNode(true);
+    clone.querySelectorAll(".copy-csh-heading-button").forEach(b => b.remove());
+    return clone.textContent.replace(/\s+/g, " ").trim();
+  }
+
+  function getTopicTitle() {
+    const h1 = document.querySelector("h1");
+    return (h1 && headingText(h1)) || document.title.trim() || window.location.pathname.split("/").pop();
+  }
+
+  // Returns { text, html? }: text is always written as text/plain, html (rich only) as text/html.
+  function formatLink(format, url, title) {
+    switch (format) {
+      case "markdown": return { text: `[${escapeMarkdown(title)}](${url.replace(/\(/g, "%28").replace(/\)/g, "%29")})` };
+      case "html": return { text: `<a href="${escapeHtml(url)}">${escapeHtml(title)}</a>` };
+      case "rich": return { text: url, html: `<a href="${escapeHtml(url)}">${escapeHtml(title)}</a>` };
+      default: return { text: url };
+    }
+  }
+
+  // =============== Clipboard + main flow ===============
+  // Resolves to true when the clipboard was written, false when blocked or left to the manual dialog.
+  // meta (url, cshId, targetRelative, title, ...) is passed through to the copycsh:copied / copycsh:error events.
+  function copyToClipboard(payload, event, format = "url", meta = {}) {
+    if (!isUserGesture(event)) {
+      warn("Blocked non-trusted invocation of copy action.");
+      return Promise.resolve(false);
+    }
+    const { text, html } = typeof payload === "string" ? { text: payload } : payload;
+    const manualLabel = LINK_FORMATS[format] && format !== "url" ? t("copyFormatManually", { format: t(LINK_FORMATS[format]) }) : t("copyManually");
+
+    const copied = () => {
+      showToast(t("copied"), event);
+      emit("copied", { ...meta, text, format });
+      if (meta.targetRelative) track(meta.cshId ? "copied" : "fallback", { ...meta, format });
+      return true;
+    };
+    const denied = (err) => {
+      showManualCopyDialog(text, event, manualLabel, { url: meta.url, title: meta.title });
+      emit("error", { ...meta, type: "clipboard-denied", text, format, error: err });
+      track("clipboard-denied", { ...meta, format });
+      return false;
+    };
+
+    if (window.isSecureContext && html && navigator.clipboard?.write && typeof ClipboardItem === "function") {
+      const item = new ClipboardItem({
+        "text/html": new Blob([html], { type: "text/html" }),
+        "text/plain": new Blob([text], { type: "text/plain" })
+      });
+      return navigator.clipboard.write([item]).then(copied, denied);
+    }
+    if (window.isSecureContext && navigator.clipboard?.writeText) {
+      return navigator.clipboard.writeText(text).then(copied, denied);
+    }
+
+    // execCommand fallback; a one-off copy listener supplies text/html for rich links.
+    const onCopy = (e) => {
+      if (!html || !e.clipboardData) return;
+      e.clipboardData.setData("text/html", html);
+      e.clipboardData.setData("text/plain", text);
+      e.preventDefault();
+    };
+    try {
+      const ta = document.createElement("textarea");
+      ta.value = text;
+      ta.setAttribute("readonly", "");
+      ta.style.position = "fixed";
+      ta.style.left = "-9999px";
+      document.body.appendChild(ta);
+      ta.select();
+      let ok = false;
+      document.addEventListener("copy", onCopy);
+      if (document.execCommand) ok = document.execCommand("copy");
+      document.body.removeChild(ta);
+      if (!ok) throw new Error("execCommand copy failed");
+      return Promise.resolve(copied());
+    } catch (err) {
+      return Promise.resolve(denied(err));
+    } finally {
+      document.removeEventListener("copy", onCopy);
+    }
+  }
+
+  // =============== Format menu ===============
+  function closeFormatMenu() {
+    document.getElementById("copy-cshid-menu")?.remove();
+  }
+
+  // target: { anchor } for the current topic, or { path, anchor, title } for a linked topic (see linkedTopic),
+  // plus a copy button's template. opener is the control the menu belongs to.
+  function showFormatMenu(event, target = {}, opener = event.currentTarget instanceof Element ? event.currentTarget : null) {
+    closeFormatMenu();
+    const menu = document.createElement("div");
+    menu.id = "copy-cshid-menu";
+    menu.className = "copy-csh-menu";
+    menu.setAttribute("role", "menu");
+    menu.setAttribute("aria-label", target.path ? t("menuLinkLabel", { title: target.title || target.path }) : t("menuLabel"));
+
+    if (target.path) {
+      const caption = document.createElement("div");
+      caption.className = "copy-csh-menu-caption";
+      caption.textContent = t("menuLinkCaption", { title: target.title || target.path });
+      menu.appendChild(caption);
+    }
+
+    const entries = Object.entries(LINK_FORMATS).map(([format, label]) => [t(label), (e) => copyLinkAs(format, e, target)]);
+    if (qrCode) entries.push([t("qrMenu"), (e) => showQrDialog(e, target)]);
+    if (share) entries.push([t("share"), (e) => shareLink(e, target)]);
+    if (versions.length) entries.push([t("versionsItem"), (e) => showVersionPanel(e, target)]);
+    if (!target.path) entries.push([t("aliasesItem"), (e) => showAliasPanel(e)]);
+
+    const items = entries.map(([label, onSelect]) => {
+      const item = document.createElement("button");
+      item.type = "button";
+      item.className = "copy-csh-menu-item";
+      item.setAttribute("role", "menuitem");
+      item.textContent = label;
+      item.addEventListener("click", (e) => {
+        closeFormatMenu();
+        onSelect(e);
+      });
+      menu.appendChild(item);
+      return item;
+    });
+
+    menu.addEventListener("keydown", (e) => {
+      const i = items.indexOf(document.activeElement);
+      if (e.key === "Escape") { closeFormatMenu(); opener?.focus(); }
+      else if (e.key === "ArrowDown") { e.preventDefault(); items[(i + 1) % items.length].focus(); }
+      else if (e.key === "ArrowUp") { e.preventDefault(); items[(i - 1 + items.length) % items.length].focus(); }
+    });
+
+    // Below the clicked control when there is one, else near the pointer (or the button, for the shortcut).
+    const near = opener || (typeof event.clientX === "number" ? null : document.querySelector(buttonSelector));
+    const rect = near?.getBoundingClientRect();
+    const x = rect ? rect.left : (event.clientX ?? 10);
+    const y = rect ? rect.bottom + 4 : (event.clientY ?? 0) + 10;
+    menu.style.left = `${Math.min(Math.max(10, x), window.innerWidth - 160)}px`;
+    menu.style.top = `${Math.min(Math.max(10, y), window.innerHeight - 150)}px`;
+
+    document.body.appendChild(menu);
+    items[0].focus();
+
+    setTimeout(() => {
+      document.addEventListener("click", function onOutside(e) {
+        if (menu.contains(e.target)) return;
+        document.removeEventListener("click", onOutside);
+        closeFormatMenu();
+      });
+    }, 0);
+  }
+
+  // =============== Section links (optional) ===============
+  let lastClickedAnchor = null;
+
+  function slugify(text) {
+    const slug = (text || "").trim().toLowerCase()
+      .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+    return slug || "section";
+  }
+
+  // Flare bookmarks are <a name="..."> inside (or right before) the heading; otherwise use the heading id.
+  function headingAnchor(heading) {
+    const named = heading.querySelector("a[name]")
+      || (heading.previousElementSibling?.matches("a[name]") ? heading.previousElementSibling : null);
+    if (named) return named.getAttribute("name");
+    return heading.id || null;
+  }
+
+  // Give id-less headings a slug id. The slug only depends on the heading text and order,
+  // so the same anchor is assigned on every load and copied #anchor links stay stable.
+  function assignHeadingIds() {
+    document.querySelectorAll(headingSelector).forEach(h => {
+      if (headingAnchor(h)) return;
+      const slug = slugify(h.textContent);
+      let id = slug;
+      for (let n = 2; document.getElementById(id); n++) id = `${slug}-${n}`;
+      h.id = id;
+    });
+  }
+
+  function anchorFromHash() {
+    const route = hashRoute();
+    if (route) return route.anchor;
+    const raw = window.location.hash.slice(1);
+    if (!raw || raw.includes("=")) return null; // e.g. #cshid=... is not an anchor
+    try { return decodeURIComponent(raw); } catch { return raw; }
+  }
+
+  function isInViewport(el) {
+    const rect = el.getBoundingClientRect();
+    return rect.bottom > 0 && rect.top < window.innerHeight;
+  }
+
+  // Heading the reader is looking at: the anchor they clicked (while still on screen),
+  // else the last heading scrolled past the top quarter of the viewport.
+  // Returns null while the reader is still at the topic title, so the topic link is used.
+  function currentSectionHeading() {
+    const headings = Array.from(document.querySelectorAll(headingSelector));
+    if (!headings.length) return null;
+
+    if (lastClickedAnchor) {
+      const clicked = headings.find(h => headingAnchor(h) === lastClickedAnchor);
+      if (clicked && isInViewport(clicked)) return clicked;
+    }
+
+    const line = window.innerHeight * 0.25;
+    let current = null;
+    for (const h of headings) {
+      if (h.getBoundingClientRect().top <= line) current = h;
+      else break;
+    }
+    if (current === headings[0] && current.tagName === "H1") return null;
+    return current;
+  }
+
+  function injectHeadingButtons() {
+    document.querySelectorAll(headingSelector).forEach(h => {
+      if (h.querySelector(".copy-csh-heading-button")) return;
+      const anchor = headingAnchor(h);
+      if (!anchor) return;
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "copy-csh-heading-button";
+      btn.textContent = "#";
+      btn.title = t("sectionButton");
+      btn.setAttribute("aria-label", t("sectionButtonLabel", { title: headingText(h) }));
+      btn.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        handleCopyUrlClick(e, anchor);
+      });
+      h.appendChild(btn);
+    });
+  }
+
+  function initSectionLinks() {
+    assignHeadingIds();
+    injectHeadingButtons();
+
+    lastClickedAnchor = anchorFromHash();
+    window.addEventListener("hashchange", () => { lastClickedAnchor = anchorFromHash(); });
+
+    // The browser scrolled (or failed to) before generated ids existed; redo it for incoming #anchor links.
+    if (lastClickedAnchor) document.getElementById(lastClickedAnchor)?.scrollIntoView();
+    log(1, "Section links enabled for", headingSelector);
+  }
+
+  // menu: show the format menu instead of copying (Shift/Alt-click, or copyMenu). Shift+Alt-click opens
+  // the diagnostics panel instead.
+  // button: the copy button that was used; its data-copy-csh-* attributes override the format, the link
+  // template and the topic (see buttonOptions). The section buttons and the shortcut pass none.
+  async function handleCopyUrlClick(event, anchor, { menu = copyMenu || event?.shiftKey || event?.altKey, button = null } = {}) {
+    if (!isUserGesture(event)) { warn("Blocked synthetic click."); return; }
+    log(1, "Copy URL button clicked.");
+
+    if (cfgInlineOnce.diagnostics && event.shiftKey && event.altKey) {
+      showDiagnostics();
+      return;
+    }
+
+    const { format, template, href } = button ? buttonOptions(button) : { format: copyFormat };
+    let target = { anchor, template };
+    if (href) {
+      const { basePath } = await discoverFlareContextWithInline();
+      const topic = topicFromHref(href, basePath);
+      if (!topic) {
+        warn("data-copy-csh-topic is not a topic of this output:", href);
+        return;
+      }
+      target = { ...topic, template };
+    } else if (anchor === undefined && sectionLinks) {
+      const heading = currentSectionHeading();
+      target.anchor = heading ? headingAnchor(heading) : null;
+    }
+
+    if (menu) {
+      showFormatMenu(event, target, button);
+      return;
+    }
+    await copyLinkAs(format, event, target);
+  }
+
+  // target: { anchor } for the current topic, or { path, anchor, title } for a linked topic.
+  async function copyLinkAs(format, event, target = {}) {
+    const link = await buildLink({ ...target, format });
+    return copyToClipboard(link, event, format, { url: link.url, cshId: link.cshId, targetRelative: link.targetRelative, title: link.title, version: link.version });
+  }
+
+  // Opens the manual-copy dialog for the link with its QR code shown, for reading it on another device.
+  async function showQrDialog(event, target = {}) {
+    const link = await buildLink({ ...target, format: "url" });
+    showManualCopyDialog(link.url, event, t("qrTitle"), { url: link.url, title: link.title, showQr: true });
+  }
+
+  // Hands the link and topic title to the system share sheet. Cancelling the sheet is not an error; any
+  // other failure (no user activation left after a slow lookup, for one) shows the link and its QR code.
+  async function shareLink(event, target = {}) {
+    if (!isUserGesture(event)) {
+      warn("Blocked non-trusted invocation of share action.");
+      return false;
+    }
+    const link = await buildLink({ ...target, format: "url" });
+    const meta = { url: link.url, cshId: link.cshId, targetRelative: link.targetRelative, title: link.title };
+    try {
+      await navigator.share({ title: link.title, url: link.url });
+      emit("shared", meta);
+      track("shared", { ...meta, format: "url" });
+      return true;
+    } catch (err) {
+      if (err?.name === "AbortError") {
+        log(1, "Share cancelled.");
+        return false;
+      }
+      warn("Share failed; showing the link instead:", err);
+      showManualCopyDialog(link.url, event, t("qrTitle"), { url: link.url, title: link.title, showQr: true });
+      emit("error", { ...meta, type: "share-failed", error: err });
+      return false;
+    }
+  }
+
+  // Link for the current topic, or for `path` (relative to the output root, like targetRelative).
+  // Returns { url, cshId, targetRelative }; cshId is null when the clean-URL fallback was used.
+  // template replaces linkTemplate for the CSH link.
+  async function resolveLink({ anchor = null, path = null, title = "", template } = {}) {
+    const { basePath, aliasPath, targetRelative: current, _defaultExt } = await discoverFlareContextWithInline();
+    const targetRelative = path ? stripLeadingSlash(path) : current;
+    log(1, "Context:", { basePath, aliasPath, targetRelative, anchor });
+
+    // A bookmark with its own alias (Link="topic.htm#anchor") is opened by that CSHID alone. Any other
+    // section of a topic with a CSHID is linked through Default.* by its path (see buildCshUrl).
+    const section = anchor ? await getBookmarkCshId(aliasPath, targetRelative, anchor) : null;
+    const result = section || await getCshId(aliasPath, targetRelative);
+
+    if (result) {
+      const url = buildCshUrl({ basePath, ext: result.correctExtension || _defaultExt, cshId: result.cshId, targetRelative, title, anchor: section ? null : anchor }, template);
+      log(1, "CSH URL:", url);
+      return { url, cshId: result.cshId, targetRelative };
+    }
+
+    let url;
+    if (fallbackTemplate) {
+      url = expandLinkTemplate(fallbackTemplate, { basePath, ext: _defaultExt, cshId: "", targetRelative, title, anchor });
+    } else {
+      url = canonicalUrl(path
+        ? pageOrigin + joinBase(basePath, targetRelative) + (anchor ? `#${encodeURIComponent(anchor)}` : "")
+        : cleanTopicUrl(anchor));
+    }
+    warn("No CSH ID; using fallback:", url);
+    emit("fallback", { url, targetRelative, anchor });
+    return { url, cshId: null, targetRelative };
+  }
+
+  // Title for a link: the topic heading (plus the section's, for a section link), or the file name of
+  // a linked topic.
+  function linkTitle(anchor, path) {
+    if (path) return stripLeadingSlash(path).split(/[?#]/)[0].split("/").pop();
+    const title = getTopicTitle();
+    const section = anchor && Array.from(document.querySelectorAll(headingSelector)).find(h => headingAnchor(h) === anchor);
+    const sectionTitle = section ? headingText(section) : "";
+    return sectionTitle && sectionTitle !== title ? `${title} – ${sectionTitle}` : title;
+  }
+
+  // Link plus its formatted clipboard payload: { url, cshId, targetRelative, title, version?, text, html? }.
+  // href: any link to a topic of this output, resolved against the current topic like the browser would.
+  // version: label from the versions setting; the link stays on this version when that one lacks the topic.
+  // template: link template for this link instead of linkTemplate.
+  async function buildLink({ anchor = null, path = null, href = null, format = copyFormat, title, version = defaultVersion, template } = {}) {
+    if (href) {
+      const { basePath } = await discoverFlareContextWithInline();
+      const topic = topicFromHref(href, basePath);
+      if (!topic) throw new Error(`Not a topic of this output: ${href}`);
+      ({ path } = topic);
+      anchor = anchor || topic.anchor;
+    }
+    if (!title) title = linkTitle(anchor, path);
+
+    const link = (version && await resolveVersionLink(version, { anchor, path, title, template })) || await resolveLink({ anchor, path, title, template });
+    return { ...link, title, ...formatLink(LINK_FORMATS[format] ? format : "url", link.url, title) };
+  }
+
+  // =============== Link templates ===============
+  const DEFAULT_LINK_TEMPLATE = "{origin}{base}/Default.{ext}#cshid={cshid}";
+  const linkTemplate = cfgInlineOnce.linkTemplate || DEFAULT_LINK_TEMPLATE;
+  const fallbackTemplate = cfgInlineOnce.fallbackTemplate || null;
+
+  // template: a per-button data-copy-csh-template, else the linkTemplate setting. A section anchor goes
+  // where the template puts {anchor}. #cshid= has no way to carry one through Flare's redirect, so
+  // otherwise the section is linked by Flare's own route to a topic bookmark:
+  // Default.htm#Content/Topic.htm%23Setup.
+  const SECTION_TEMPLATE = "{origin}{base}/Default.{ext}#{topicPath}%23{anchor}";
+
+  function buildCshUrl(values, template = linkTemplate) {
+    const tpl = template || linkTemplate;
+    return expandLinkTemplate(values.anchor && !tpl.includes("{anchor}") ? SECTION_TEMPLATE : tpl, values);
+  }
+
+  // values: { basePath, ext, cshId, targetRelative, title, anchor }. Unknown placeholders are left as
+  // written, and separators left dangling by empty values ("...#", "...&anchor=") are trimmed.
+  function expandLinkTemplate(template, values) {
+    let topicPath = values.targetRelative || "";
+    try { topicPath = decodeURI(topicPath); } catch { /* already decoded */ }
+    const map = {
+      origin: pageOrigin,
+      base: values.basePath === "/" ? "" : (values.basePath || "").replace(/\/+$/, ""),
+      ext: values.ext || "htm",
+      cshid: values.cshId ? encodeURIComponent(values.cshId) : "",
+      topicPath: encodeURI(topicPath),
+      title: encodeURIComponent(values.title || ""),
+      anchor: values.anchor ? encodeURIComponent(values.anchor) : ""
+    };
+    const url = template
+      .replace(/\{(\w+)\}/g, (m, key) => (key in map ? map[key] : m))
+      .replace(/[?&]\w+=(?=&|#|$)/g, "")
+      .replace(/[#?&]+$/, "");
+    return canonicalUrl(url);
+  }
+
+  // Swap a staging/mirror origin for its canonical origin (canonicalOrigins setting).
+  function canonicalUrl(url) {
+    for (const [from, to] of Object.entries(cfgInlineOnce.canonicalOrigins)) {
+      const origin = String(from).replace(/\/+$/, "");
+      if (url === origin || url.startsWith(origin + "/")) {
+        log(2, "Canonical origin:", origin, "->", to);
+        return String(to).replace(/\/+$/, "") + url.slice(origin.length);
+      }
+    }
+    return url;
+  }
+
+  // =============== CSH alias panel ===============
+  // Lists every Map entry (Name and ResolvedId) that points at the current topic and copies the chosen one.
+  async function showAliasPanel(event) {
+    const { basePath, aliasPath, targetRelative, _defaultExt } = await discoverFlareContextWithInline();
+    const result = await getCshId(aliasPath, targetRelative);
+    if (!result) {
+      showToast(t("noAliases"), event);
+      return;
+    }
+
+    const heading = document.createElement("div");
+    heading.className = "copy-csh-dialog-title";
+    heading.textContent = t("aliasesTitle", { count: result.aliases.length });
+
+    const list = document.createElement("ul");
+    list.className = "copy-csh-alias-list";
+
+    result.aliases.forEach(alias => {
+      const row = document.createElement("li");
+
+      const info = document.createElement("div");
+      info.textContent = alias.name && alias.name !== alias.cshId ? t("aliasName", { name: alias.name, id: alias.cshId }) : alias.cshId;
+      const link = document.createElement("div");
+      link.className = "copy-csh-alias-link";
+      link.textContent = alias.link;
+      row.appendChild(info);
+      row.appendChild(link);
+
+      // Flare accepts either the alias Name or its ResolvedId after #cshid=.
+      const ids = [...new Set([alias.cshId, alias.name].filter(Boolean))];
+      const actions = document.createElement("div");
+      actions.className = "copy-csh-actions";
+      ids.forEach(id => {
+        actions.appendChild(dialogButton(t("copyCshid", { id }), (e) => {
+          const url = buildCshUrl({ basePath, ext: alias.ext || _defaultExt, cshId: id, targetRelative, title: getTopicTitle() });
+          closeDialog();
+          copyToClipboard(formatLink(copyFormat, url, getTopicTitle()), e, copyFormat, { url, cshId: id, targetRelative });
+        }));
+      });
+      row.appendChild(actions);
+      list.appendChild(row);
+    });
+
+    const footer = document.createElement("div");
+    footer.className = "copy-csh-actions";
+    footer.appendChild(dialogButton(t("close"), closeDialog));
+
+    openDialog({ id: "copy-cshid-aliases", className: "copy-csh-aliases", title: heading, body: [list, footer] });
+  }
+
+  // =============== Versions ===============
+  // Other versions (or targets) of this help on the same site, from the versions setting. A version is
+  // offered for a topic only when its Alias.xml has the topic: by one of the topic's alias Names first
+  // (CSHIDs are often renumbered between versions, Names rarely), then by CSHID for aliases without a
+  // Name, then by topic path. A file-name-only path match is not trusted across versions.
+  const versions = cfgInlineOnce.versions;
+  const defaultVersion = cfgInlineOnce.defaultVersion;
+
+  function findVersion(label) {
+    const key = String(label).toLowerCase();
+    return versions.find(v => v.label.toLowerCase() === key) || null;
+  }
+
+  // The topic's Map entries in this output (empty when it has no CSHID here).
+  async function topicInCurrentVersion(path) {
+    const { basePath, aliasPath, targetRelative: current, _defaultExt } = await discoverFlareContextWithInline();
+    const targetRelative = path ? stripLeadingSlash(path) : current;
+    const own = await getCshId(aliasPath, targetRelative);
+    return { basePath, targetRelative, defaultExt: _defaultExt, aliases: own ? own.aliases : [] };
+  }
+
+  // Resolves to { version, hit, section } with the topic's Map entry in that version (hit is null when
+  // the topic is not there), or { version, error } when the version's Alias.xml cannot be read. With an
+  // anchor, an alias for that bookmark in the version wins, like in resolveLink; section is then true.
+  async function findTopicInVersion(version, topic, anchor = null) {
+    try {
+      const { cache } = await ensureAliasIndex(version.aliasPath || joinBase(version.basePath, "Data/Alias.xml"));
+      const bookmark = anchor && CopyCSHCore.matchAliasIndex(cache.index, `${topic.targetRelative}#${anchor}`);
+      if (bookmark && bookmark.tier !== "file") return { version, hit: bookmark.hits[0], section: true };
+      const byName = topic.aliases.filter(a => a.name).map(a => CopyCSHCore.aliasByName(cache.maps, a.name)).find(Boolean);
+      const byId = topic.aliases.filter(a => !a.name).map(a => cache.maps.find(m => m.cshId === a.cshId)).find(Boolean);
+      const match = CopyCSHCore.matchAliasIndex(cache.index, topic.targetRelative);
+      const byPath = match && !match.ambiguous && match.tier !== "file" ? match.hits[0] : null;
+      return { version, hit: byName || byId || byPath || null, section: false };
+    } catch (err) {
+      warn(`Could not read Alias.xml of version ${version.label}:`, err);
+      return { version, error: err };
+    }
+  }
+
+  // A section link keeps its anchor unless the version has an alias for the bookmark itself. The path is
+  // the topic's path in that version, which may have moved.
+  function versionUrl(version, { hit, section }, topic, { title, anchor, template }) {
+    const targetRelative = hit.path ? hit.path.split("#")[0] : topic.targetRelative;
+    return buildCshUrl({ basePath: version.basePath, ext: hit.ext || topic.defaultExt, cshId: hit.cshId, targetRelative, title, anchor: section ? null : anchor }, template);
+  }
+
+  // { url, cshId, targetRelative, version } in the version labelled `label`, or null (this version is used).
+  async function resolveVersionLink(label, { anchor = null, path = null, title = "", template } = {}) {
+    const version = findVersion(label);
+    if (!version) {
+      warn("Unknown version; copying the link to this version:", label);
+      return null;
+    }
+    const topic = await topicInCurrentVersion(path);
+    if (version.basePath === topic.basePath) return null;
+    const found = await findTopicInVersion(version, topic, anchor);
+    const { hit } = found;
+    if (!hit) {
+      warn(`Topic not found in version ${version.label}; copying the link to this version:`, topic.targetRelative);
+      return null;
+    }
+    const url = versionUrl(version, found, topic, { title, anchor, template });
+    log(1, `CSH URL in version ${version.label}:`, url);
+    return { url, cshId: hit.cshId, targetRelative: topic.targetRelative, version: version.label };
+  }
+
+  // Lists every configured version with a copy button where the topic exists, and says where it does not.
+  async function showVersionPanel(event, target = {}) {
+    const { anchor = null, path = null, template } = target;
+    const title = target.title || linkTitle(anchor, path);
+    const topic = await topicInCurrentVersion(path);
+    const results = await Promise.all(versions.map(version => findTopicInVersion(version, topic, anchor)));
+
+    const heading = document.createElement("div");
+    heading.className = "copy-csh-dialog-title";
+    heading.textContent = t("versionsTitle");
+
+    const list = document.createElement("ul");
+    list.className = "copy-csh-version-list";
+
+    results.forEach(({ version, hit, section, error: err }) => {
+      const row = document.createElement("li");
+      const name = document.createElement("div");
+      name.textContent = version.basePath === topic.basePath ? t("versionCurrent", { label: version.label }) : version.label;
+      const status = document.createElement("div");
+      status.className = "copy-csh-version-status";
+      row.append(name, status);
+
+      if (!hit) {
+        status.textContent = t(err ? "versionUnavailable" : "versionMissing");
+        row.classList.add("copy-csh-version-missing");
+      } else {
+        const url = versionUrl(version, { hit, section }, topic, { title, anchor, template });
+        status.textContent = url;
+        const actions = document.createElement("div");
+        actions.className = "copy-csh-actions";
+        const copyBtn = dialogButton(t("versionCopy"), (e) => {
+          closeDialog();
+          copyToClipboard(formatLink(copyFormat, url, title), e, copyFormat,
+            { url, cshId: hit.cshId, targetRelative: topic.targetRelative, title, version: version.label });
+        });
+        copyBtn.setAttribute("aria-label", t("versionCopyLabel", { label: version.label }));
+        actions.appendChild(copyBtn);
+        row.appendChild(actions);
+      }
+      list.appendChild(row);
+    });
+
+    const footer = document.createElement("div");
+    footer.className = "copy-csh-actions";
+    footer.appendChild(dialogButton(t("close"), closeDialog));
+
+    openDialog({ id: "copy-cshid-versions", className: "copy-csh-versions", title: heading, body: [list, footer] });
+  }
+
+  // =============== Diagnostics ===============
+  // Everything support needs when the button copies the wrong thing, without asking for logLevel 2 and
+  // console output. The same sections fill the panel's tables and the plain-text report.
+  const DIAGNOSTICS_PARAM = "copycsh-diagnostics";
+
+  function formatAge(ms) {
+    if (ms < 1000) return `${Math.max(0, Math.round(ms))} ms`;
+    if (ms < 120000) return `${Math.round(ms / 1000)} s`;
+    return `${Math.round(ms / 60000)} min`;
+  }
+
+  function describeHit(hit) {
+    return `${hit.cshId}${hit.name && hit.name !== hit.cshId ? ` (${hit.name})` : ""} -> ${hit.link}`;
+  }
+
+  // Resolves to [{ title, rows: [[label, value], ...] }].
+  async function collectDiagnostics() {
+    const sections = [{
+      title: "Page",
+      rows: [
+        ["URL", window.location.href],
+        ["Script", `copy-csh ${VERSION}`],
+        ["Time", new Date().toISOString()],
+        ["Browser", navigator.userAgent]
+      ]
+    }];
+
+    // A fresh probe of every candidate, so the panel shows statuses even when the base came from metadata.
+    const candidates = candidateBases(window.location.pathname);
+    const probes = await Promise.all(candidates.map(base => probeBase(base, "Data/Alias.xml")));
+    sections.push({
+      title: `Base candidates (${probeMethod} Data/Alias.xml)`,
+      rows: probes.length ? probes.map(p => [p.base, String(p.status)]) : [["(none)", ""]]
+    });
+
+    const ctx = await discoverFlareContextWithInline();
+    sections.push({
+      title: "Context",
+      rows: [
+        ["Found by", discoverySource || "unknown"],
+        ["basePath", ctx.basePath],
+        ["aliasPath", ctx.aliasPath],
+        ["targetRelative", ctx.targetRelative],
+        ["defaultExt", ctx._defaultExt]
+      ]
+    });
+
+    const before = embeddedAliasIndex(ctx.aliasPath) || cachedAliasIndex(window.location.origin + ctx.aliasPath);
+    const cacheRows = [
+      ["Before lookup", before ? `${before.source}, age ${formatAge(Date.now() - before.ts)}` : "not cached"],
+      ["TTL", formatAge(aliasCacheTTL)],
+      ["Storage", cfgInlineOnce.aliasCacheStorage || "session"]
+    ];
+    const matchRows = [];
+    try {
+      const { cache, revalidated } = await ensureAliasIndex(ctx.aliasPath);
+      cacheRows.push(
+        ["Lookup used", revalidated && cache.source !== "embedded" ? "Alias.xml from the server" : `${cache.source} index`],
+        ["Maps", String(cache.maps.length)],
+        ["ETag / Last-Modified", [cache.etag, cache.lastModified].filter(Boolean).join(" / ") || "none"]
+      );
+
+      const match = CopyCSHCore.matchAliasIndex(cache.index, ctx.targetRelative);
+      matchRows.push(["Tier", match ? match.tier + (match.ambiguous ? " (ambiguous: no CSHID is copied)" : "") : "no match"]);
+      (match?.hits || []).forEach((hit, i) => matchRows.push([i ? "Other alias" : "Copied alias", describeHit(hit)]));
+      (match?.candidates || []).forEach(c => matchRows.push(["Candidate", `${c.link} (${c.score} shared path segments)`]));
+      // What each tier holds for this topic, to show where a wrong or missing match comes from.
+      const keys = CopyCSHCore.linkKeys(ctx.targetRelative);
+      for (const tier of ["full", "noContent", "file"]) {
+        const hits = cache.index[tier][keys[tier]] || [];
+        matchRows.push([`${tier} "${keys[tier]}"`, hits.length ? hits.map(describeHit).join("; ") : "none"]);
+      }
+    } catch (err) {
+      cacheRows.push(["Error", String(err?.message || err)]);
+    }
+    sections.push({ title: "Alias.xml cache", rows: cacheRows });
+    if (matchRows.length) sections.push({ title: "Match", rows: matchRows });
+
+    try {
+      const link = await buildLink({ format: "url" });
+      sections.push({
+        title: "Link",
+        rows: [
+          ["URL", link.url],
+          ["CSHID", link.cshId || "none (fallback URL)"],
+          ...(link.version ? [["Version", link.version]] : [])
+        ]
+      });
+    } catch (err) {
+      sections.push({ title: "Link", rows: [["Error", String(err?.message || err)]] });
+    }
+    return sections;
+  }
+
+  function diagnosticsReport(sections) {
+    return sections.map(({ title, rows }) => [title, ...rows.map(([label, value]) => `  ${label}: ${value}`)].join("\n")).join("\n\n") + "\n";
+  }
+
+  async function showDiagnostics() {
+    const sections = await collectDiagnostics();
+    const report = diagnosticsReport(sections);
+    log(2, report);
+
+    const heading = document.createElement("div");
+    heading.className = "copy-csh-dialog-title";
+    heading.textContent = t("diagTitle");
+
+    const tables = sections.map(({ title, rows }) => {
+      const table = document.createElement("table");
+      table.className = "copy-csh-diag";
+      table.createCaption().textContent = title;
+      const body = table.createTBody();
+      rows.forEach(([label, value]) => {
+        const tr = body.insertRow();
+        const th = document.createElement("th");
+        th.scope = "row";
+        th.textContent = label;
+        tr.appendChild(th);
+        tr.insertCell().textContent = value;
+      });
+      return table;
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "copy-csh-actions";
+    actions.append(
+      dialogButton(t("diagCopy"), (e) => {
+        const manual = () => showManualCopyDialog(report, e, t("diagCopyManually"));
+        if (!window.isSecureContext || !navigator.clipboard?.writeText) return manual();
+        navigator.clipboard.writeText(report).then(() => showToast(t("diagCopied"), e), manual);
+      }),
+      dialogButton(t("close"), closeDialog)
+    );
+
+    openDialog({ id: "copy-cshid-diagnostics", className: "copy-csh-diagnostics", title: heading, body: [...tables, actions] });
+  }
+
+  // =============== Keyboard shortcut ===============
+  // "Ctrl+Shift+L" -> { ctrl, shift, alt, meta, key, aria }; null when empty or not understood.
+  function parseShortcut(spec) {
+    if (!spec) return null;
+    const isMac = /mac|iphone|ipad/i.test(navigator.platform || navigator.userAgent || "");
+    const out = { ctrl: false, shift: false, alt: false, meta: false, key: "" };
+    for (const part of spec.split("+").map(p => p.trim().toLowerCase())) {
+      if (part === "ctrl" || part === "control") out.ctrl = true;
+      else if (part === "shift") out.shift = true;
+      else if (part === "alt" || part === "option") out.alt = true;
+      else if (part === "meta" || part === "cmd" || part === "command") out.meta = true;
+      else if (part === "mod") out[isMac ? "meta" : "ctrl"] = true;
+      else if (part && !out.key) out.key = part;
+      else return null;
+    }
+    if (!out.key) return null;
+    out.aria = [out.ctrl && "Control", out.alt && "Alt", out.shift && "Shift", out.meta && "Meta", out.key.length === 1 ? out.key.toUpperCase() : out.key]
+      .filter(Boolean).join("+");
+    return out;
+  }
+
+  const copyShortcut = parseShortcut(cfgInlineOnce.copyShortcut);
+  if (cfgInlineOnce.copyShortcut && !copyShortcut) warn("Ignoring copyShortcut; expected something like \"Ctrl+Shift+L\":", cfgInlineOnce.copyShortcut);
+
+  function matchesShortcut(e, sc) {
+    if (e.ctrlKey !== sc.ctrl || e.shiftKey !== sc.shift || e.altKey !== sc.alt || e.metaKey !== sc.meta) return false;
+    // e.key changes with Shift/Alt on some layouts ("L", "¬"); e.code names the physical key.
+    return (e.key || "").toLowerCase() === sc.key || (sc.key.length === 1 && e.code === `Key${sc.key.toUpperCase()}`);
+  }
+
+  function initShortcut() {
+    document.addEventListener("keydown", (e) => {
+      if (e.repeat || !matchesShortcut(e, copyShortcut)) return;
+      // Plain-key shortcuts must not swallow typing.
+      const modified = copyShortcut.ctrl || copyShortcut.alt || copyShortcut.meta;
+      if (!modified && e.target.closest?.("input, textarea, select, [contenteditable]:not([contenteditable='false'])")) return;
+      e.preventDefault();
+      // The key press is the user gesture; handleCopyUrlClick still refuses synthetic (untrusted) events.
+      handleCopyUrlClick(e, undefined, { menu: copyMenu });
+    });
+    log(1, "Copy shortcut:", copyShortcut.aria);
+  }
+
+  // =============== Links to other topics ===============
+  // Output context once discovery has finished; the context menu needs it synchronously.
+  let knownContext = null;
+
+  // URL relative hrefs are resolved against: the current topic, which in a Tripane shell is the routed one.
+  function currentTopicUrl() {
+    const route = parseHashRoute(window.location);
+    return route ? pageOrigin + joinBase(route.rootPath, encodeURI(route.topicPath)) : document.baseURI;
+  }
+
+  // { path, anchor } for an href (absolute, or relative to baseUrl), or null when it is not a topic of this output.
+  function topicFromHref(href, basePath, baseUrl = currentTopicUrl()) {
+    let url;
+    try { url = new URL(href, baseUrl); } catch { return null; }
+    if (url.origin !== window.location.origin) return null;
+    return CopyCSHCore.topicFromUrl(url, basePath);
+  }
+
+  // { path, anchor, title } for a link element pointing at a topic of this output, else null.
+  function linkedTopic(link) {
+    const href = link?.getAttribute("href");
+    if (!knownContext || !href) return null;
+    const topic = topicFromHref(href, knownContext.basePath, document.baseURI);
+    return topic && { ...topic, title: (link.textContent || "").trim() || undefined };
+  }
+
+  function initLinkContextMenu() {
+    document.addEventListener("contextmenu", (e) => {
+      if (!e.isTrusted || e.shiftKey) return;
+      const target = linkedTopic(e.target.closest?.("a[href]"));
+      if (!target) return;
+      e.preventDefault();
+      showFormatMenu(e, target);
+    });
+    log(1, "Link context menu enabled.");
+  }
+
+  // =============== Link copy buttons (optional) ===============
+  // One floating button is moved to whichever topic link is hovered or focused, so nothing is injected
+  // into topic content or into TOC markup that the skin re-renders.
+  let linkButton = null;
+  let linkButtonTarget = null;
+  let linkButtonTimer = null;
+
+  function hideLinkButton(delay = 0) {
+    clearTimeout(linkButtonTimer);
+    linkButtonTimer = setTimeout(() => {
+      if (linkButton) linkButton.hidden = true;
+      linkButtonTarget = null;
+    }, delay);
+  }
+
+  function createLinkButton() {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.id = "copy-cshid-link-button";
+    btn.className = "copy-csh-link-button";
+    btn.textContent = "CSH";
+    btn.title = t("linkButton");
+    btn.hidden = true;
+    btn.addEventListener("mouseenter", () => clearTimeout(linkButtonTimer));
+    btn.addEventListener("mouseleave", () => hideLinkButton(400));
+    btn.addEventListener("focusout", () => hideLinkButton(400));
+    btn.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const target = linkButtonTarget;
+      if (!target) return;
+      if (!e.isTrusted) { warn("Blocked synthetic click."); return; }
+      if (copyMenu || e.shiftKey || e.altKey) showFormatMenu(e, target);
+      else copyLinkAs(copyFormat, e, target);
+    });
+    document.body.appendChild(btn);
+    return btn;
+  }
+
+  function showLinkButton(link) {
+    const target = linkedTopic(link);
+    if (!target) return;
+    clearTimeout(linkButtonTimer);
+    linkButton = linkButton || createLinkButton();
+    linkButtonTarget = target;
+    linkButton.setAttribute("aria-label", t("linkButtonLabel", { title: target.title || target.path }));
+
+    const rect = link.getBoundingClientRect();
+    linkButton.hidden = false;
+    linkButton.style.left = `${Math.min(rect.right + 4, window.innerWidth - 40)}px`;
+    linkButton.style.top = `${Math.max(0, rect.top + rect.height / 2 - 9)}px`;
+  }
+
+  function initLinkButtons() {
+    const topicLinkAt = (node) => {
+      const link = node?.closest?.("a[href]");
+      return link && link.matches(linkButtonSelector) ? link : null;
+    };
+    document.addEventListener("mouseover", (e) => {
+      const link = topicLinkAt(e.target);
+      if (link) showLinkButton(link);
+    });
+    document.addEventListener("mouseout", (e) => {
+      if (topicLinkAt(e.target) && e.relatedTarget !== linkButton) hideLinkButton(400);
+    });
+    // Keyboard users get the button after the focused link; Tab from the link does not reach it, but
+    // the link context menu and the shortcut cover the keyboard.
+    document.addEventListener("focusin", (e) => {
+      const link = topicLinkAt(e.target);
+      if (link) showLinkButton(link);
+    });
+    document.addEventListener("focusout", (e) => {
+      if (topicLinkAt(e.target) && e.relatedTarget !== linkButton) hideLinkButton(400);
+    });
+    // Scrolling (the page or a side-nav panel) moves the link away from the button.
+    window.addEventListener("scroll", () => hideLinkButton(), { capture: true, passive: true });
+    log(1, "Link copy buttons enabled for", linkButtonSelector);
+  }
+
+  // =============== Incoming CSH links ===============
+  // Flare's Default page opens #cshid= links, but a topic page ignores them: a pasted topic URL with a
+  // CSHID added, or a link in the older ?cshid= form, just shows that page. Here the ID is looked up in
+  // the index getCshId uses. When it is this topic, the ID is dropped from the address bar (and its
+  // bookmark, if the alias has one, is scrolled to); when it is another topic, that topic replaces this
+  // page; an unknown ID gets a notice rather than leaving the reader on a page the link did not mean.
+  async function resolveIncomingCshId() {
+    const incoming = CopyCSHCore.incomingCshId(window.location);
+    if (!incoming || hashRoute()) return;
+    const { cshId } = incoming;
+    const { basePath, aliasPath, targetRelative } = await discoverFlareContextWithInline();
+
+    let hit;
+    try {
+      let { cache, revalidated } = await ensureAliasIndex(aliasPath);
+      hit = CopyCSHCore.aliasForId(cache.maps, cshId);
+      // An ID missing from a cached index may be new: revalidate and retry once, like getCshId.
+      if (!hit && !revalidated) {
+        ({ cache } = await ensureAliasIndex(aliasPath, true));
+        hit = CopyCSHCore.aliasForId(cache.maps, cshId);
+      }
+    } catch (err) {
+      error("Error fetching/parsing Alias.xml:", err);
+      emit("error", { type: "lookup-error", aliasPath, targetRelative, error: err });
+      return;
+    }
+
+    if (!hit) {
+      warn("Unknown CSH ID in the page URL:", cshId);
+      emit("incoming", { cshId, action: "unknown" });
+      showNotice(t("unknownCshid", { id: cshId }));
+      return;
+    }
+
+    const [topic, bookmark = ""] = hit.path.split(/#(.*)/s);
+    if (CopyCSHCore.normalizeLink(topic) === CopyCSHCore.normalizeLink(targetRelative)) {
+      const url = cleanTopicUrl(bookmark || null);
+      log(1, `CSH ID ${cshId} is this topic; address set to`, url);
+      window.history.replaceState(window.history.state, "", url);
+      if (bookmark) document.getElementById(bookmark)?.scrollIntoView();
+      emit("incoming", { cshId, action: "rewrite", url, targetRelative });
+      return;
+    }
+
+    const url = pageOrigin + joinBase(basePath, encodeURI(topic)) + keptQuery() + (bookmark ? `#${encodeURIComponent(bookmark)}` : "");
+    log(1, `CSH ID ${cshId} is another topic; opening`, url);
+    emit("incoming", { cshId, action: "redirect", url, targetRelative: topic });
+    window.location.replace(url);
+  }
+
+  // Dismissible bar at the top of the page; the text is also announced through the live region.
+  function showNotice(message) {
+    document.getElementById("copy-cshid-notice")?.remove();
+    const notice = document.createElement("div");
+    notice.id = "copy-cshid-notice";
+    notice.className = "copy-csh-notice";
+    const text = document.createElement("span");
+    text.textContent = message;
+    notice.append(text, dialogButton(t("close"), () => notice.remove()));
+    document.body.insertBefore(notice, document.body.firstChild);
+    announce(message);
+    return notice;
+  }
+
+  // =============== Button wiring ===============
+  // Clicks are handled by one listener on the document for every element matching buttonSelector, so
+  // any number of copy buttons work, including toolbars the skin re-renders or duplicates (the mobile
+  // menu, a sticky header) and links in topics ("Share this page"), with nothing to re-bind. Wiring
+  // again is harmless: the same listener functions are not added twice.
+
+  function copyButtonAt(node) {
+    return node?.closest?.(buttonSelector) || null;
+  }
+
+  // Per-element overrides: data-copy-csh-format (a copyFormat value), data-copy-csh-template (a
+  // linkTemplate) and data-copy-csh-topic (a link to another topic of this output, relative to the page).
+  function buttonOptions(el) {
+    const { copyCshFormat, copyCshTemplate, copyCshTopic } = el.dataset;
+    const format = (copyCshFormat || "").trim().toLowerCase();
+    if (format && !LINK_FORMATS[format]) warn(`Unknown data-copy-csh-format "${format}"; using ${copyFormat}.`);
+    return {
+      format: LINK_FORMATS[format] ? format : copyFormat,
+      template: (copyCshTemplate || "").trim() || undefined,
+      href: (copyCshTopic || "").trim() || null
+    };
+  }
+
+  function onCopyButtonClick(e) {
+    const button = copyButtonAt(e.target);
+    if (!button) return;
+    e.preventDefault(); // a link used as the button must not navigate
+    handleCopyUrlClick(e, undefined, { button });
+  }
+
+  // Elements other than <button> get the keys a button has: Enter (links already have it) and Space.
+  function onCopyButtonKeydown(e) {
+    if (e.key !== "Enter" && e.key !== " ") return;
+    const button = copyButtonAt(e.target);
+    if (!button || button !== e.target || button.matches("button, input")) return;
+    if (e.key === "Enter" && button.matches("a[href]")) return;
+    e.preventDefault();
+    handleCopyUrlClick(e, undefined, { button });
+  }
+
+  // Matching elements that are not buttons get role="button" and, unless focusable, tabindex="0".
+  const decoratedButtons = new WeakSet();
+  let buttonObserver = null;
+
+  function decorateCopyButtons() {
+    for (const el of document.querySelectorAll(buttonSelector)) {
+      if (decoratedButtons.has(el)) continue;
+      decoratedButtons.add(el);
+      if (copyShortcut) el.setAttribute("aria-keyshortcuts", copyShortcut.aria);
+      if (el.matches("button, input")) continue;
+      if (!el.hasAttribute("role")) el.setAttribute("role", "button");
+      if (!el.matches("a[href]") && !el.hasAttribute("tabindex")) el.setAttribute("tabindex", "0");
+    }
+  }
+
+  // Capture phase, so a skin that stops the click on its toolbar does not swallow it.
+  function attachButtonListener() {
+    document.addEventListener("click", onCopyButtonClick, true);
+    document.addEventListener("keydown", onCopyButtonKeydown, true);
+    decorateCopyButtons();
+    if (!buttonObserver) {
+      buttonObserver = new MutationObserver(decorateCopyButtons);
+      buttonObserver.observe(document.body, { childList: true, subtree: true });
+    }
+    log(1, "Handling clicks on", buttonSelector, `(${document.querySelectorAll(buttonSelector).length} on the page now)`);
+  }
+
+  // Build the index while the browser is idle so the first click does not wait for Alias.xml.
+  function prefetchAliasIndex() {
+    const idle = window.requestIdleCallback || ((cb) => setTimeout(cb, 200));
+    idle(async () => {
+      try {
+        const { aliasPath } = await discoverFlareContextWithInline();
+        const { cache, revalidated } = await ensureAliasIndex(aliasPath);
+        log(2, revalidated ? "Prefetched Alias.xml index:" : "Alias.xml index already cached:", `${cache.maps.length} maps`);
+      } catch (err) {
+        log(2, "Alias.xml prefetch failed:", err);
+      }
+    });
+  }
+
+  // =============== Public API (window.CopyCSH) ===============
+  // Promise-based helpers for other master-page scripts; available once copycsh:ready fires.
+  Object.assign(window.CopyCSH, {
+    // { basePath, aliasPath, targetRelative, defaultExt } for the current topic.
+    getContext: async () => {
+      const { _defaultExt, ...ctx } = await discoverFlareContextWithInline();
+      return { ...ctx, defaultExt: _defaultExt };
+    },
+    // CSH lookup for a topic path relative to the output root, or { href } for any link to a topic
+    // (relative hrefs resolve against the current topic). Default: current topic. null if none.
+    lookupCshId: async (path) => {
+      const { basePath, aliasPath, targetRelative } = await discoverFlareContextWithInline();
+      if (path && typeof path === "object") {
+        const topic = topicFromHref(path.href, basePath);
+        return topic ? getCshId(aliasPath, topic.path) : null;
+      }
+      return getCshId(aliasPath, path ? stripLeadingSlash(path) : targetRelative);
+    },
+    // opts: { path | href, anchor, format, title, version, template } -> { url, cshId, targetRelative, title, text, html? }
+    buildLink: (opts) => buildLink(opts),
+    // Writes text (or { text, html }) to the clipboard; needs a trusted user event, like the button.
+    copy: (payload, event, format = "url") => copyToClipboard(payload, event, format),
+    showToast: (message, event) => showToast(message, event),
+    // Drops the cached index and re-reads Alias.xml; resolves to the number of Map entries indexed.
+    // An embedded index (tools/build-alias-index.js) is only replaced by rebuilding it.
+    refreshAliases: async () => {
+      const { aliasPath } = await discoverFlareContextWithInline();
+      const embedded = embeddedAliasIndex(aliasPath);
+      if (embedded) return embedded.maps.length;
+      aliasCaches.delete(window.location.origin + aliasPath);
+      aliasStorage()?.removeItem(ALIAS_STORAGE_PREFIX + window.location.origin + aliasPath);
+      try {
+        return (await loadAliasIndex(aliasPath)).maps.length;
+      } catch (err) {
+        emit("error", { type: "lookup-error", aliasPath, error: err });
+        throw err;
+      }
+    }
+  });
+
+  injectStyles();
+  attachButtonListener();
+  if (sectionLinks) initSectionLinks();
+  if (copyShortcut) initShortcut();
+  if (linkContextMenu) initLinkContextMenu();
+  if (linkButtons) initLinkButtons();
+  if (analyticsEnabled) initAnalytics();
+  // Resolve the output base in the background so the first click does not wait for probes.
+  discoverFlareContextWithInline().then(ctx => { knownContext = ctx; });
+  if (cfgInlineOnce.prefetchAliases) prefetchAliasIndex();
+  if (cfgInlineOnce.resolveIncomingLinks) resolveIncomingCshId();
+  if (cfgInlineOnce.diagnostics && new URLSearchParams(window.location.search).has(DIAGNOSTICS_PARAM)) showDiagnostics();
+  window.CopyCSH.ready = true;
+  emit("ready", { version: VERSION });
 });
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const core = require("../copy-csh.js");
+const { findScripts, main } = require("../tools/build-alias-index.js");
+const { readAliasFile } = require("../tools/alias-xml.js");
+const { FIXTURES, startFlareServer } = require("./helpers/flare-server.js");
+const { loadPage, trustedClick } = require("./helpers/load-page.js");
+
+const TOPNAV = path.join(FIXTURES, "topnav", "Docs", "v1", "TopNav");
+const SCRIPTS = path.join("Content", "Resources", "Scripts");
+
+// A copy of the TopNav fixture output with copy-csh.js where Flare would put it.
+async function withOutput(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "copy-csh-index-"));
+  try {
+    fs.cpSync(TOPNAV, dir, { recursive: true });
+    fs.mkdirSync(path.join(dir, SCRIPTS), { recursive: true });
+    fs.writeFileSync(path.join(dir, SCRIPTS, "copy-csh.js"), "");
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Runs the tool quietly; resolves to its exit code.
+function build(argv) {
+  const { log, error } = console;
+  console.log = console.error = () => {};
+  try {
+    return main(argv);
+  } finally {
+    Object.assign(console, { log, error });
+  }
+}
+
+test("a serialized index answers lookups like the one it was built from", () => {
+  const { maps } = readAliasFile(path.join(FIXTURES, "content", "Help", "Data", "Alias.xml"));
+  const built = core.buildAliasIndex(maps);
+  const restored = core.hydrateAliasIndex(JSON.parse(JSON.stringify(core.serializeAliasIndex(built))));
+  assert.deepEqual(restored.maps, built.maps);
+  for (const target of ["Content/a/overview.html", "a/overview.html", "Moved/b/overview.html", "Content/c/overview.html"]) {
+    assert.deepEqual(core.matchAliasIndex(restored.index, target), core.matchAliasIndex(built.index, target), target);
+  }
+});
+
+test("the index is written next to copy-csh.js and finds the output root", () =>
+  withOutput((dir) => {
+    assert.equal(build([dir]), 0);
+    const indexFile = path.join(dir, SCRIPTS, "copy-csh-alias-index.js");
+    const window = {};
+    const src = "https://docs.example.com/Docs/v1/TopNav/Content/Resources/Scripts/copy-csh-alias-index.js";
+    new Function("window", "document", fs.readFileSync(indexFile, "utf8"))(window, { currentScript: { src } });
+
+    const { v, alias, root, data } = window.CopyCSHAliasIndex;
+    assert.deepEqual({ v, alias, root }, { v: 1, alias: "Data/Alias.xml", root: "/Docs/v1/TopNav/" });
+    const match = core.matchAliasIndex(core.hydrateAliasIndex(data).index, "Content/Guides/install.htm");
+    assert.equal(match.hits[0].cshId, "1000");
+  }));
+
+test("the script must be found, or named when there are several", () =>
+  withOutput((dir) => {
+    fs.rmSync(path.join(dir, SCRIPTS, "copy-csh.js"));
+    assert.equal(build([dir]), 2);
+
+    fs.writeFileSync(path.join(dir, SCRIPTS, "copy-csh.js"), "");
+    fs.writeFileSync(path.join(dir, "Content", "copy-csh.js"), "");
+    assert.equal(findScripts(dir).length, 2);
+    assert.equal(build([dir]), 2);
+    assert.equal(build([dir, "--script", path.join(SCRIPTS, "copy-csh.js")]), 0);
+    assert.ok(fs.existsSync(path.join(dir, SCRIPTS, "copy-csh-alias-index.js")));
+  }));
+
+test("a topic opened from file:// is looked up in the embedded index", () =>
+  withOutput(async (dir) => {
+    build([dir]);
+    const indexFile = path.join(dir, SCRIPTS, "copy-csh-alias-index.js");
+    const topic = path.join(dir, "Content", "Guides", "install.htm");
+    const written = [];
+    const page = await loadPage(null, pathToFileURL(topic).href, {
+      html: fs.readFileSync(topic, "utf8"),
+      clipboard: { writeText: async (text) => { written.push(text); } },
+      preload: [{ src: pathToFileURL(indexFile).href, code: fs.readFileSync(indexFile, "utf8") }]
+    });
+    try {
+      const link = await page.window.CopyCSH.buildLink();
+      assert.equal(link.cshId, "1000");
+      assert.equal(link.url, `${pathToFileURL(dir).href}/Default.htm#cshid=1000`);
+      assert.ok(page.logs.log.some(l => /base from embedded alias index/.test(l)));
+      assert.deepEqual(page.logs.error, []);
+
+      await page.window.CopyCSH.copy(link.text, trustedClick(page.window));
+      assert.deepEqual(written, [link.url]);
+    } finally {
+      page.close();
+    }
+  }));
+
+test("an embedded index replaces the Alias.xml request only for its own output", () =>
+  withOutput(async (dir) => {
+    build([dir]);
+    const code = fs.readFileSync(path.join(dir, SCRIPTS, "copy-csh-alias-index.js"), "utf8");
+    const server = await startFlareServer("topnav");
+    const topic = "/Docs/v1/TopNav/Content/Guides/install.htm";
+    const aliasRequests = () => server.requests.filter(r => r.path.endsWith("/Alias.xml")).length;
+    try {
+      const own = await loadPage(server, topic, {
+        preload: [{ src: `${server.origin}/Docs/v1/TopNav/Content/Resources/Scripts/copy-csh-alias-index.js`, code }]
+      });
+      assert.equal((await own.window.CopyCSH.lookupCshId()).cshId, "1000");
+      assert.equal(await own.window.CopyCSH.refreshAliases(), 2);
+      assert.equal(aliasRequests(), 0);
+      own.close();
+
+      const other = await loadPage(server, topic, {
+        preload: [{ src: `${server.origin}/Docs/v2/TopNav/Content/Resources/Scripts/copy-csh-alias-index.js`, code }],
+        config: { useCustomSettings: true, basePath: "/Docs/v1/TopNav" }
+      });
+      assert.equal((await other.window.CopyCSH.lookupCshId()).cshId, "1000");
+      assert.ok(aliasRequests() > 0, "another output's index is not used");
+      other.close();
+    } finally {
+      await server.close();
+    }
+  }));
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../copy-csh.js");
+const { withPage } = require("./helpers/load-page.js");
+
+test("builds the CSH link from Alias.xml and lists every alias", () =>
+  withPage("/Docs/v1/TopNav/Content/Guides/install.htm", {}, async ({ window }) => {
+    const link = await window.CopyCSH.buildLink();
+    assert.equal(link.url, `${window.location.origin}/Docs/v1/TopNav/Default.htm#cshid=1000`);
+    assert.equal(link.cshId, "1000");
+
+    const result = await window.CopyCSH.lookupCshId();
+    assert.deepEqual([...result.aliases.map(a => a.cshId)], ["1000", "1001"]);
+  }));
+
+test("whenReady() resolves for scripts that ask before or after copycsh:ready", () => {
+  // Runs before copy-csh's own DOMContentLoaded handler, so the API is not ready yet.
+  const preload = [{ code: "document.addEventListener('DOMContentLoaded', () => { window.__early = [window.CopyCSH.ready, window.CopyCSH.whenReady()]; });" }];
+  return withPage("/Docs/v1/TopNav/Content/Guides/install.htm", { preload }, async ({ window }) => {
+    const [readyBefore, early] = window.__early;
+    assert.equal(readyBefore, false);
+    assert.equal(await early, window.CopyCSH);
+    assert.equal(window.CopyCSH.ready, true);
+    const api = await window.CopyCSH.whenReady();
+    assert.equal((await api.buildLink()).cshId, "1000");
+  });
+});
+
+test("uses the topic's extension for Default.*", () =>
+  withPage("/Help/Content/b/overview.html", { site: "content" }, async ({ window }) => {
+    const link = await window.CopyCSH.buildLink();
+    assert.equal(link.url, `${window.location.origin}/Help/Default.html#cshid=2001`);
+  }));
+
+test("topics without an alias fall back to the clean URL", () =>
+  withPage("/Docs/v1/TopNav/Content/Guides/uninstall.htm?skin=dark", {}, async ({ window, events }) => {
+    const link = await window.CopyCSH.buildLink();
+    assert.equal(link.cshId, null);
+    assert.equal(link.url, `${window.location.origin}/Docs/v1/TopNav/Content/Guides/uninstall.htm`);
+    assert.ok(events.some(e => e.name === "fallback" && e.detail.url === link.url));
+  }));
+
+test("a file name shared by several topics is not guessed", () =>
+  withPage("/Help/Content/c/overview.html", { site: "content" }, async ({ window }) => {
+    const link = await window.CopyCSH.buildLink();
+    assert.equal(link.cshId, null);
+    assert.equal(link.url, `${window.location.origin}/Help/Content/c/overview.html`);
+  }));
+
+test("malformed Alias.xml falls back to the clean URL", () =>
+  withPage("/Docs/v1/TopNav/Content/Guides/install.htm", {
+    config: { useCustomSettings: true, basePath: "/Docs/v1/TopNav" },
+    server: { overrides: { "/Docs/v1/TopNav/Data/Alias.xml": { body: "<CatapultAliasFile><Map Name=\"Install\" Link=" } } }
+  }, async ({ window }) => {
+    const link = await window.CopyCSH.buildLink();
+    assert.equal(link.cshId, null);
+    assert.equal(link.url, `${window.location.origin}/Docs/v1/TopNav/Content/Guides/install.htm`);
+  }));
+
+test("oversized Alias.xml is refused with a lookup-error event", () => {
+  const huge = "<CatapultAliasFile>" + " ".repeat(2_000_001) + "</CatapultAliasFile>";
+  return withPage("/Docs/v1/TopNav/Content/Guides/install.htm", {
+    config: { useCustomSettings: true, basePath: "/Docs/v1/TopNav" },
+    server: { overrides: { "/Docs/v1/TopNav/Data/Alias.xml": { body: huge } } }
+  }, async ({ window, events }) => {
+    const link = await window.CopyCSH.buildLink();
+    assert.equal(link.cshId, null);
+    const lookupError = events.find(e => e.name === "error");
+    assert.equal(lookupError?.detail.type, "lookup-error");
+    assert.match(lookupError.detail.error.message, /too large/);
+  });
+});
+
+test("a missing Alias.xml is reported and falls back", () =>
+  withPage("/Docs/v1/TopNav/Content/Guides/install.htm", {
+    config: { useCustomSettings: true, basePath: "/Docs/v1/TopNav" },
+    server: { overrides: { "/Docs/v1/TopNav/Data/Alias.xml": { status: 404 } } }
+  }, async ({ window, events }) => {
+    const link = await window.CopyCSH.buildLink();
+    assert.equal(link.cshId, null);
+    assert.ok(events.some(e => e.name === "error" && e.detail.type === "lookup-error"));
+  }));
+
+test("the parsed index is reused from sessionStorage on the next page", () =>
+  withPage("/Docs/v1/TopNav/Content/Guides/install.htm", {}, async ({ window, server }) => {
+    await window.CopyCSH.buildLink();
+    const key = Object.keys(window.sessionStorage).find(k => k.startsWith("copy-csh:alias:"));
+    assert.ok(key, "index stored");
+    assert.equal(JSON.parse(window.sessionStorage.getItem(key)).v, 2);
+
+    const fetches = server.requests.filter(r => r.method === "GET" && r.path.endsWith("/Alias.xml")).length;
+    await window.CopyCSH.buildLink();
+    assert.equal(server.requests.filter(r => r.method === "GET" && r.path.endsWith("/Alias.xml")).length, fetches);
+  }));
+
+test("a section without its own alias is linked by Flare's route to the bookmark", () =>
+  withPage("/Docs/v1/TopNav/Content/Guides/install.htm", {}, async ({ window, server }) => {
+    const link = await window.CopyCSH.buildLink({ anchor: "Step 2" });
+    assert.equal(link.cshId, "1000");
+    assert.equal(link.url, `${window.location.origin}/Docs/v1/TopNav/Default.htm#Content/Guides/install.htm%23Step%202`);
+    assert.equal(server.requests.filter(r => r.method === "GET" && r.path.endsWith("/Alias.xml")).length, 1, "no re-fetch for the heading");
+  }));
+
+test("the copied section link opens the topic and bookmark from the Default page", () =>
+  withPage("/Docs/v1/TopNav/Default.htm#Content/Guides/install.htm%23steps", {}, async ({ window }) => {
+    const ctx = await window.CopyCSH.getContext();
+    assert.equal(ctx.basePath, "/Docs/v1/TopNav");
+    assert.equal(ctx.targetRelative, "Content/Guides/install.htm");
+    assert.equal(core.parseHashRoute(window.location).anchor, "steps");
+  }));
+
+test("a bookmark with its own alias uses that CSHID alone", () =>
+  withPage("/Docs/v1/TopNav/Content/Guides/install.htm", {
+    server: { overrides: { "/Docs/v1/TopNav/Data/Alias.xml": { body: `<CatapultAliasFile>
+  <Map Name="Install" Link="Content/Guides/install.htm" ResolvedId="1000" />
+  <Map Name="Requirements" Link="Content/Guides/install.htm#requirements" ResolvedId="1200" />
+</CatapultAliasFile>` } } }
+  }, async ({ window }) => {
+    const link = await window.CopyCSH.buildLink({ anchor: "requirements" });
+    assert.equal(link.url, `${window.location.origin}/Docs/v1/TopNav/Default.htm#cshid=1200`);
+    const templated = await window.CopyCSH.buildLink({ anchor: "steps", template: "{origin}/csh/{cshid}/{anchor}" });
+    assert.equal(templated.url, `${window.location.origin}/csh/1000/steps`);
+  }));
+
+test("a section of a topic without a CSHID gets the clean #anchor URL", () =>
+  withPage("/Docs/v1/TopNav/Content/Guides/uninstall.htm", {}, async ({ window }) => {
+    const link = await window.CopyCSH.buildLink({ anchor: "steps" });
+    assert.equal(link.cshId, null);
+    assert.equal(link.url, `${window.location.origin}/Docs/v1/TopNav/Content/Guides/uninstall.htm#steps`);
+  }));
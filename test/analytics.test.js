@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage, dispatchTrusted, nextEvent } = require("./helpers/load-page.js");
+
+const BASE = "/Docs/v1/TopNav";
+const INSTALL = `${BASE}/Content/Guides/install.htm`;
+const UNINSTALL = `${BASE}/Content/Guides/uninstall.htm`;
+
+// The records without their timestamps.
+const records = (batches) => batches.flat().map(({ time, ...rest }) => {
+  assert.ok(!Number.isNaN(Date.parse(time)));
+  return { ...rest };
+});
+
+// Clicks the copy button and waits until the copy succeeded or failed.
+async function copyTopic(window) {
+  const { document } = window;
+  const done = Promise.race([nextEvent(document, "copied"), nextEvent(document, "error")]);
+  dispatchTrusted(document.querySelector(".copy-url-button"), new window.MouseEvent("click", { bubbles: true, clientX: 20, clientY: 20 }));
+  await done;
+}
+
+test("copies are batched and passed to the callback", () => {
+  const batches = [];
+  return withPage(INSTALL, { config: { analyticsCallback: (events) => batches.push(events), analyticsBatchSize: 2 } }, async ({ window }) => {
+    await copyTopic(window);
+    assert.equal(batches.length, 0, "waits for a full batch");
+    await copyTopic(window);
+    const copied = { type: "copied", topic: "Content/Guides/install.htm", cshId: "1000", format: "url", output: BASE };
+    assert.deepEqual(records(batches), [copied, copied]);
+  });
+});
+
+test("fallback copies are flushed when the page is hidden", () => {
+  const batches = [];
+  return withPage(UNINSTALL, { config: { analyticsCallback: (events) => batches.push(events) } }, async ({ window }) => {
+    await copyTopic(window);
+    assert.equal(batches.length, 0);
+    window.dispatchEvent(new window.Event("pagehide"));
+    assert.deepEqual(records(batches), [{ type: "fallback", topic: "Content/Guides/uninstall.htm", cshId: null, format: "url", output: BASE }]);
+  });
+});
+
+test("blocked clipboards and Alias.xml errors are reported", () => {
+  const batches = [];
+  return withPage(INSTALL, {
+    config: { analyticsCallback: (events) => batches.push(events), analyticsFlushInterval: 10, useCustomSettings: true, basePath: BASE },
+    clipboard: { writeText: async () => { throw new Error("NotAllowedError"); } },
+    server: { overrides: { [`${BASE}/Data/Alias.xml`]: { status: 500 } } }
+  }, async ({ window }) => {
+    await copyTopic(window);
+    await new Promise(resolve => window.setTimeout(resolve, 30));
+    assert.deepEqual(records(batches).map(r => [r.type, r.topic]), [
+      ["lookup-error", "Content/Guides/install.htm"],
+      ["clipboard-denied", "Content/Guides/install.htm"]
+    ]);
+  });
+});
+
+test("batches go to the endpoint with sendBeacon", () => {
+  const beacons = [];
+  const preload = [{ code: "navigator.sendBeacon = (url, data) => { window.__beacons.push([url, data]); return true; }; window.__beacons = [];" }];
+  return withPage(INSTALL, { config: { analyticsEndpoint: "https://stats.example.com/collect", analyticsBatchSize: 1 }, preload }, async ({ window }) => {
+    await copyTopic(window);
+    for (const [url, blob] of window.__beacons) {
+      const text = await new Promise(resolve => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+      });
+      beacons.push([url, blob.type, JSON.parse(text)]);
+    }
+    assert.equal(beacons.length, 1);
+    const [url, type, body] = beacons[0];
+    assert.equal(url, "https://stats.example.com/collect");
+    assert.equal(type, "text/plain;charset=utf-8");
+    assert.equal(body.v, 1);
+    assert.equal(body.events[0].type, "copied");
+    assert.equal(body.events[0].cshId, "1000");
+  });
+});
+
+test("Do Not Track and a missing consent keep analytics off", async () => {
+  const batches = [];
+  const callback = (events) => batches.push(events);
+  const dnt = [{ code: "Object.defineProperty(navigator, 'doNotTrack', { value: '1' });" }];
+  await withPage(INSTALL, { config: { analyticsCallback: callback, analyticsBatchSize: 1 }, preload: dnt }, async ({ window }) => {
+    await copyTopic(window);
+  });
+  assert.equal(batches.length, 0);
+
+  let consent = false;
+  await withPage(INSTALL, { config: { analyticsCallback: callback, analyticsBatchSize: 1, analyticsConsent: () => consent } }, async ({ window }) => {
+    await copyTopic(window);
+    assert.equal(batches.length, 0);
+    consent = true;
+    await copyTopic(window);
+    assert.equal(batches.length, 1);
+  });
+});
+
+test("nothing is recorded unless an endpoint or callback is set", () => {
+  const preload = [{ code: "window.__beacons = 0; navigator.sendBeacon = () => { window.__beacons++; return true; };" }];
+  return withPage(INSTALL, { config: { analyticsBatchSize: 1 }, preload }, async ({ window, logs }) => {
+    await copyTopic(window);
+    window.dispatchEvent(new window.Event("pagehide"));
+    assert.equal(window.__beacons, 0);
+    assert.ok(!logs.log.some(l => /Analytics enabled/.test(l)));
+  });
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { audit, formatText, listTopics, parseArgs, main } = require("../tools/audit-alias.js");
+const { FIXTURES } = require("./helpers/flare-server.js");
+
+const output = (...parts) => path.join(FIXTURES, ...parts);
+const aliasOf = (dir) => path.join(dir, "Data", "Alias.xml");
+const types = (report) => report.issues.map(i => i.type).sort();
+
+test("a clean output has no issues", () => {
+  const dir = output("topnav", "Docs", "v1", "TopNav");
+  const report = audit(dir, aliasOf(dir));
+  assert.deepEqual(report.summary, { maps: 2, topics: 2, errors: 0, warnings: 0 });
+  assert.match(formatText(report), /No problems found/);
+});
+
+test("missing files, duplicate ids and non-topic links are reported", () => {
+  const dir = output("broken");
+  const report = audit(dir, aliasOf(dir));
+  assert.deepEqual(types(report), ["duplicate-id", "extension", "missing-link", "missing-link"]);
+  assert.equal(report.summary.errors, 3);
+
+  const duplicate = report.issues.find(i => i.type === "duplicate-id");
+  assert.equal(duplicate.cshId, "4000");
+  assert.deepEqual(duplicate.entries.map(e => e.name), ["Ok", "Gone"]);
+});
+
+test("topics sharing a file name are flagged as ambiguous", () => {
+  const dir = output("content", "Help");
+  const report = audit(dir, aliasOf(dir));
+  const [warning] = report.issues;
+  assert.equal(report.issues.length, 1);
+  assert.equal(warning.type, "file-name-only");
+  assert.equal(warning.topic, "Content/c/overview.html");
+  assert.equal(warning.ambiguous, true);
+});
+
+test("links are decoded as the browser decodes them", (t) => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "alias-audit-"));
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(tmp, "Content", "a"), { recursive: true });
+  fs.mkdirSync(path.join(tmp, "Data"));
+  fs.writeFileSync(path.join(tmp, "Content", "a", "b c.htm"), "<html></html>");
+  fs.writeFileSync(aliasOf(tmp), `<CatapultAliasFile>
+  <Map Name="Spaces" Link="Content/a/b%20c.htm" ResolvedId="1" />
+  <Map Name="Slash" Link="Content/a%2Fb%20c.htm" ResolvedId="2" />
+</CatapultAliasFile>`);
+  const report = audit(tmp, aliasOf(tmp));
+  assert.deepEqual(report.issues.map(i => [i.type, i.cshId]), [["missing-link", "2"]]);
+});
+
+test("listTopics skips Flare's own folders and Default pages", () => {
+  assert.deepEqual(listTopics(output("root")), ["Topics/start.htm"]);
+});
+
+test("parseArgs rejects unknown options and a missing output folder", () => {
+  assert.throws(() => parseArgs([]), /Missing <output-dir>/);
+  assert.throws(() => parseArgs(["out", "--bogus"]), /Unknown option/);
+  assert.equal(parseArgs(["out", "--strict", "--json", "r.json"]).json, "r.json");
+});
+
+test("main writes both reports and exits 1 on errors", (t) => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "alias-audit-"));
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  t.mock.method(process.stdout, "write", () => true);
+
+  const json = path.join(tmp, "report.json");
+  const text = path.join(tmp, "report.txt");
+  assert.equal(main([output("broken"), "--json", json, "--text", text]), 1);
+  assert.equal(JSON.parse(fs.readFileSync(json, "utf8")).summary.errors, 3);
+  assert.match(fs.readFileSync(text, "utf8"), /Duplicate ResolvedIds/);
+
+  assert.equal(main([output("content", "Help"), "--json", json, "--text", text]), 0);
+  assert.equal(main([output("content", "Help"), "--json", json, "--text", text, "--strict"]), 1);
+});
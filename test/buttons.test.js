@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage, dispatchTrusted, nextEvent } = require("./helpers/load-page.js");
+
+const GUIDES = "/Docs/v1/TopNav/Content/Guides";
+
+const page = (body, heading = "Installing the Product") => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8" /><title>${heading}</title></head>
+  <body>
+    <h1>${heading}</h1>
+    ${body}
+  </body>
+</html>`;
+
+const click = (window, init) => new window.MouseEvent("click", { bubbles: true, cancelable: true, clientX: 20, clientY: 20, ...init });
+
+// Activates el and waits for the copy.
+async function activate(window, el, event = click(window)) {
+  const copied = nextEvent(window.document, "copied");
+  dispatchTrusted(el, event);
+  return copied;
+}
+
+test("every copy button works, including ones added or re-rendered later", () =>
+  withPage(`${GUIDES}/install.htm`, { html: page(`<div id="toolbar"><button class="copy-url-button">Copy</button></div>`) }, async ({ window, document, written }) => {
+    const url = `${window.location.origin}/Docs/v1/TopNav/Default.htm#cshid=1000`;
+
+    // The skin re-renders the toolbar and adds a copy for the mobile menu.
+    document.getElementById("toolbar").innerHTML = `<button class="copy-url-button">Copy</button>`;
+    const mobile = document.createElement("button");
+    mobile.className = "copy-url-button";
+    document.body.appendChild(mobile);
+
+    await activate(window, document.querySelector("#toolbar .copy-url-button"));
+    await activate(window, mobile);
+    assert.deepEqual(written, [url, url], "one copy per click");
+  }));
+
+test("a link with data-copy-csh-format copies that format and does not navigate", () =>
+  withPage(`${GUIDES}/install.htm`, { html: page(`<button class="copy-url-button">Copy</button>
+    <p><a class="copy-url-button" href="#share" data-copy-csh-format="markdown">Share this page</a></p>`) }, async ({ window, document, written }) => {
+    const link = document.querySelector("a.copy-url-button");
+    assert.equal(link.getAttribute("role"), "button");
+
+    const event = click(window);
+    const detail = await activate(window, link, event);
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(detail.format, "markdown");
+    assert.deepEqual(written, [`[Installing the Product](${window.location.origin}/Docs/v1/TopNav/Default.htm#cshid=1000)`]);
+  }));
+
+test("data-copy-csh-topic and data-copy-csh-template link another topic", () =>
+  withPage(`${GUIDES}/uninstall.htm`, { html: page(`<span class="copy-url-button" data-copy-csh-topic="install.htm"
+    data-copy-csh-template="https://support.example.com/help?id={cshid}">Copy the install link</span>`, "Uninstalling the Product") }, async ({ window, document, written }) => {
+    const span = document.querySelector("span.copy-url-button");
+    assert.equal(span.getAttribute("role"), "button");
+    assert.equal(span.getAttribute("tabindex"), "0");
+
+    // Space activates it like a button.
+    const detail = await activate(window, span, new window.KeyboardEvent("keydown", { key: " ", bubbles: true, cancelable: true }));
+    assert.equal(detail.targetRelative, "Content/Guides/install.htm");
+    assert.deepEqual(written, ["https://support.example.com/help?id=1000"]);
+  }));
+
+test("the menu of a button with overrides uses them", () =>
+  withPage(`${GUIDES}/uninstall.htm`, { html: page(`<button class="copy-url-button" data-copy-csh-topic="install.htm"
+    data-copy-csh-template="{origin}/csh/{cshid}">Copy</button>`, "Uninstalling the Product") }, async ({ window, document, written }) => {
+    const button = document.querySelector(".copy-url-button");
+    dispatchTrusted(button, click(window, { shiftKey: true }));
+    for (let i = 0; i < 50 && !document.getElementById("copy-cshid-menu"); i++) {
+      await new Promise(resolve => window.setTimeout(resolve, 20));
+    }
+    const menu = document.getElementById("copy-cshid-menu");
+    assert.match(menu.getAttribute("aria-label"), /install\.htm/);
+
+    const item = Array.from(menu.querySelectorAll("[role=menuitem]")).find(i => i.textContent === "Plain URL");
+    const copied = nextEvent(document, "copied");
+    dispatchTrusted(item, click(window));
+    await copied;
+    assert.deepEqual(written, [`${window.location.origin}/csh/1000`]);
+  }));
+
+test("a data-copy-csh-topic outside the output is refused", () =>
+  withPage(`${GUIDES}/install.htm`, { html: page(`<button class="copy-url-button" data-copy-csh-topic="https://example.com/other.htm">Copy</button>`) }, async ({ window, document, logs, written }) => {
+    dispatchTrusted(document.querySelector(".copy-url-button"), click(window));
+    await new Promise(resolve => window.setTimeout(resolve, 50));
+    assert.deepEqual(written, []);
+    assert.ok(logs.warn.some(w => /not a topic of this output/.test(w)));
+  }));
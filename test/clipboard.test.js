@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage: withFixturePage, trustedClick } = require("./helpers/load-page.js");
+
+const TOPIC = "/Docs/v1/TopNav/Content/Guides/install.htm";
+const CONFIG = { useCustomSettings: true, basePath: "/Docs/v1/TopNav" };
+
+const withPage = (opts, fn) => withFixturePage(TOPIC, { config: CONFIG, clipboard: null, ...opts }, fn);
+
+const manualCopyText = (document) => document.querySelector("#copy-cshid-modal textarea")?.value;
+
+test("writes the link with the Clipboard API", () => {
+  const written = [];
+  const clipboard = { writeText: async (text) => { written.push(text); } };
+  return withPage({ clipboard }, async ({ window, events }) => {
+    const ok = await window.CopyCSH.copy("https://docs.example.com/x", trustedClick(window));
+    assert.equal(ok, true);
+    assert.deepEqual(written, ["https://docs.example.com/x"]);
+    assert.ok(events.some(e => e.name === "copied" && e.detail.text === "https://docs.example.com/x"));
+    assert.equal(window.document.getElementById("copy-cshid-modal"), null);
+  });
+});
+
+test("a rejected write opens the manual copy dialog", () => {
+  const clipboard = { writeText: async () => { throw new Error("NotAllowedError"); } };
+  return withPage({ clipboard }, async ({ window, document, events }) => {
+    const ok = await window.CopyCSH.copy("https://docs.example.com/x", trustedClick(window));
+    assert.equal(ok, false);
+    assert.equal(manualCopyText(document), "https://docs.example.com/x");
+    const denied = events.find(e => e.name === "error");
+    assert.equal(denied?.detail.type, "clipboard-denied");
+  });
+});
+
+test("rich links are written as text/html and text/plain", () => {
+  const writes = [];
+  const clipboard = { write: async (items) => { writes.push(items); }, writeText: async () => assert.fail("writeText used") };
+  return withPage({ clipboard }, async ({ window }) => {
+    const ok = await window.CopyCSH.copy({ text: "Install", html: "<a href=\"#\">Install</a>" }, trustedClick(window), "rich");
+    assert.equal(ok, true);
+    assert.deepEqual(Object.keys(writes[0][0].items).sort(), ["text/html", "text/plain"]);
+  });
+});
+
+test("without the Clipboard API, execCommand copies the text", () => {
+  const copied = [];
+  return withPage({
+    secure: false,
+    execCommand(command) {
+      copied.push([command, this.querySelector("textarea")?.value]);
+      return true;
+    }
+  }, async ({ window, events }) => {
+    const ok = await window.CopyCSH.copy("https://docs.example.com/x", trustedClick(window));
+    assert.equal(ok, true);
+    assert.deepEqual(copied, [["copy", "https://docs.example.com/x"]]);
+    assert.ok(events.some(e => e.name === "copied"));
+    assert.equal(window.document.querySelector("textarea"), null, "helper textarea removed");
+  });
+});
+
+test("a failed execCommand falls back to the manual dialog", () =>
+  withPage({ secure: false, execCommand: () => false }, async ({ window, document, events }) => {
+    const ok = await window.CopyCSH.copy("https://docs.example.com/x", trustedClick(window));
+    assert.equal(ok, false);
+    assert.equal(manualCopyText(document), "https://docs.example.com/x");
+    assert.ok(events.some(e => e.name === "error" && e.detail.type === "clipboard-denied"));
+  }));
+
+test("copies only for trusted user events", () => {
+  const clipboard = { writeText: async () => assert.fail("clipboard written") };
+  return withPage({ clipboard }, async ({ window, document, logs }) => {
+    assert.equal(await window.CopyCSH.copy("x", { isTrusted: false }), false);
+    assert.equal(await window.CopyCSH.copy("x", { isTrusted: true }), false, "a plain object is not an event");
+
+    document.querySelector(".copy-url-button").click(); // script-dispatched, so isTrusted is false
+    await new Promise(resolve => window.setTimeout(resolve, 0));
+    assert.ok(logs.warn.some(w => /synthetic|non-trusted/.test(w)));
+  });
+});
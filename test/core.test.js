@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const core = require("../copy-csh.js");
+const { readQr } = require("./helpers/qr.js");
+
+test("the script can run twice in one page", () => {
+  // A master page and a topic may both include it; a second top-level const would be a SyntaxError.
+  const script = fs.readFileSync(path.join(__dirname, "..", "copy-csh.js"), "utf8");
+  const context = vm.createContext({});
+  vm.runInContext(script, context);
+  assert.doesNotThrow(() => vm.runInContext(script, context));
+  assert.equal(typeof context.CopyCSHCore.normalizeLink, "function");
+});
+
+test("the header, the script and package.json give the same version", () => {
+  const script = fs.readFileSync(path.join(__dirname, "..", "copy-csh.js"), "utf8");
+  const { version } = require("../package.json");
+  assert.equal(script.match(/copy-csh - Version (\S+)/)[1], version);
+  assert.equal(script.match(/const VERSION = "([^"]+)"/)[1], version);
+});
+
+test("joinBase and relativeToBase round-trip a topic path", () => {
+  assert.equal(core.joinBase("/", "Content/a.htm"), "/Content/a.htm");
+  assert.equal(core.joinBase("/Docs/v1/TopNav", "Content/a.htm"), "/Docs/v1/TopNav/Content/a.htm");
+  assert.equal(core.relativeToBase("/Docs/v1/TopNav/Content/a.htm", "/Docs/v1/TopNav"), "Content/a.htm");
+  assert.equal(core.relativeToBase("/Content/a.htm", "/"), "Content/a.htm");
+});
+
+test("candidateBases tries TopNav and Content roots before walking up", () => {
+  const bases = core.candidateBases("/Docs/v1/TopNav/Content/Guides/install.htm");
+  assert.equal(bases[0], "/Docs/v1/TopNav");
+  assert.ok(bases.includes("/Docs/v1/TopNav/Content/Guides"));
+  assert.equal(new Set(bases).size, bases.length);
+
+  assert.deepEqual(core.candidateBases("/Help/Content/a/overview.html").slice(0, 1), ["/Help"]);
+});
+
+test("heuristicBase cuts at the Content folder", () => {
+  assert.equal(core.heuristicBase("/Help/Content/a/overview.html"), "/Help");
+  assert.equal(core.heuristicBase("/Content/a.htm"), "/");
+});
+
+test("parseHashRoute reads Tripane topic routes", () => {
+  const route = core.parseHashRoute({ pathname: "/Help/Default.htm", hash: "#Content/Guides/install.htm%23steps" });
+  assert.equal(route.rootPath, "/Help");
+  assert.equal(route.topicPath, "Content/Guides/install.htm");
+  assert.equal(route.anchor, "steps");
+
+  assert.equal(core.parseHashRoute({ pathname: "/Help/Default.htm", hash: "#cshid=1000" }), null);
+  assert.equal(core.parseHashRoute({ pathname: "/Help/Content/a.htm", hash: "#Content/b.htm" }), null);
+});
+
+test("linkExtension keeps the allow-list and ignores bookmarks", () => {
+  assert.deepEqual(core.linkExtension("Content/a.html#intro"), { rawExt: "html", ext: "html" });
+  assert.deepEqual(core.linkExtension("Content/manual.pdf"), { rawExt: "pdf", ext: "htm" });
+});
+
+function index(...maps) {
+  return core.buildAliasIndex(maps.map(([link, resolvedId, name = ""]) => ({ link, resolvedId, name }))).index;
+}
+
+test("matchAliasIndex prefers the full path and returns every alias of a topic", () => {
+  const idx = index(["Content/Guides/install.htm", "1000", "Install"], ["Content/Guides/install.htm", "1001", "Setup"]);
+  const match = core.matchAliasIndex(idx, "Content/Guides/install.htm");
+  assert.equal(match.tier, "full");
+  assert.deepEqual(match.hits.map(h => h.cshId), ["1000", "1001"]);
+});
+
+test("matchAliasIndex matches without the Content/ prefix", () => {
+  const idx = index(["Guides/install.htm", "1000"]);
+  assert.equal(core.matchAliasIndex(idx, "Content/Guides/install.htm").tier, "noContent");
+});
+
+test("matchAliasIndex decodes and lowercases before comparing", () => {
+  const idx = index(["Content/My Topic.htm", "7"]);
+  assert.equal(core.matchAliasIndex(idx, "content/My%20Topic.htm").hits[0].cshId, "7");
+});
+
+test("file-name matches are ranked by shared folders and ties are ambiguous", () => {
+  const idx = index(["Content/a/overview.html", "2000"], ["Content/b/overview.html", "2001"]);
+
+  const ranked = core.matchAliasIndex(idx, "Moved/a/overview.html");
+  assert.equal(ranked.tier, "file");
+  assert.equal(ranked.ambiguous, false);
+  assert.equal(ranked.hits[0].cshId, "2000");
+
+  const tie = core.matchAliasIndex(idx, "Content/c/overview.html");
+  assert.equal(tie.tier, "file");
+  assert.equal(tie.ambiguous, true);
+  assert.equal(tie.hits.length, 0);
+  assert.equal(tie.candidates.length, 2);
+});
+
+test("matchAliasIndex returns null when nothing matches", () => {
+  assert.equal(core.matchAliasIndex(index(["Content/a.htm", "1"]), "Content/zzz.htm"), null);
+});
+
+test("topicFromUrl maps links to topics of an output", () => {
+  const base = "/Docs/v1/TopNav";
+  const topic = (href) => core.topicFromUrl(new URL(href, "https://docs.example.com"), base);
+
+  assert.deepEqual(topic("/Docs/v1/TopNav/Content/a.htm#Step%202"), { path: "Content/a.htm", anchor: "Step 2" });
+  assert.deepEqual(topic("/Docs/v1/TopNav/Default.htm#Content/a.htm%23intro"), { path: "Content/a.htm", anchor: "intro" });
+  assert.equal(topic("/Docs/v1/TopNav/Default.htm"), null);
+  assert.equal(topic("/Docs/v2/TopNav/Content/a.htm"), null);
+  assert.equal(topic("/Docs/v1/TopNav/Content/manual.pdf"), null);
+  assert.deepEqual(core.topicFromUrl(new URL("https://docs.example.com/a.htm"), "/"), { path: "a.htm", anchor: null });
+});
+
+test("incomingCshId reads #cshid= and the older ?cshid= on topic pages only", () => {
+  const incoming = (href) => core.incomingCshId(new URL(href, "https://docs.example.com"));
+  assert.deepEqual(incoming("/Help/Content/a.htm#cshid=1000"), { cshId: "1000", from: "hash" });
+  assert.deepEqual(incoming("/Help/Content/a.htm?skin=x&CSHID=Install"), { cshId: "Install", from: "query" });
+  assert.deepEqual(incoming("/Help/Content/a.htm?cshid=1&x=y#cshid=2"), { cshId: "2", from: "hash" });
+  assert.equal(incoming("/Help/Content/a.htm#intro"), null);
+  assert.equal(incoming("/Help/Content/a.htm?cshid="), null);
+  assert.equal(incoming("/Help/Default.htm#cshid=1000"), null);
+});
+
+test("aliasForId finds a Map entry by ResolvedId, then by Name", () => {
+  const { maps } = core.buildAliasIndex([
+    { link: "Content/My%20Guide.htm", name: "Guide", resolvedId: "10" },
+    { link: "Content/Other.htm", name: "10", resolvedId: "11" }
+  ]);
+  assert.equal(core.aliasForId(maps, "10").path, "Content/My Guide.htm");
+  assert.equal(core.aliasForId(maps, "guide").cshId, "10");
+  assert.equal(core.aliasForId(maps, " 11 ").link, "content/other.htm");
+  assert.equal(core.aliasForId(maps, "12"), null);
+  assert.equal(core.aliasByName(maps, "GUIDE").cshId, "10");
+  assert.equal(core.aliasByName(maps, "11"), null);
+});
+
+test("encodeQr output decodes back to the text", () => {
+  const texts = [
+    "A",
+    "https://docs.example.com/Docs/v1/TopNav/Default.htm#cshid=1000",
+    "https://docs.example.com/Docs/v1/TopNav/Content/日本語.htm",
+    "https://docs.example.com/" + "Content/".repeat(60) + "a.htm"
+  ];
+  for (const text of texts) {
+    const qr = core.encodeQr(text);
+    assert.equal(qr.size, qr.version * 4 + 17);
+    assert.equal(readQr(qr.size, (x, y) => qr.modules[y][x], { quiet: 4 }), text);
+  }
+  assert.ok(core.encodeQr(texts[3]).version >= 10, "long links use the 16-bit length field");
+});
+
+test("encodeQr returns null when the text does not fit", () => {
+  assert.equal(core.encodeQr("x".repeat(2400)), null);
+});
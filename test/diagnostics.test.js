@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage, dispatchTrusted } = require("./helpers/load-page.js");
+
+const TOPIC = "/Docs/v1/TopNav/Content/Guides/install.htm";
+
+const click = (window, init) => new window.MouseEvent("click", { bubbles: true, clientX: 20, clientY: 20, ...init });
+
+async function panel({ window, document }) {
+  for (let i = 0; i < 100 && !document.getElementById("copy-cshid-diagnostics"); i++) {
+    await new Promise(resolve => window.setTimeout(resolve, 20));
+  }
+  return document.getElementById("copy-cshid-diagnostics");
+}
+
+// { caption: { label: value } } from the panel's tables.
+function tables(dialog) {
+  const out = {};
+  for (const table of dialog.querySelectorAll("table")) {
+    out[table.caption.textContent] = Object.fromEntries(Array.from(table.rows, r => [r.cells[0].textContent, r.cells[1].textContent]));
+  }
+  return out;
+}
+
+test("Shift+Alt-click opens the diagnostics panel", () =>
+  withPage(TOPIC, { config: { diagnostics: true } }, async (page) => {
+    const { window, document } = page;
+    await window.CopyCSH.lookupCshId();
+    dispatchTrusted(document.querySelector(".copy-url-button"), click(window, { shiftKey: true, altKey: true }));
+    const dialog = await panel(page);
+    assert.equal(document.getElementById("copy-cshid-menu"), null);
+
+    const data = tables(dialog);
+    const probes = data["Base candidates (HEAD Data/Alias.xml)"];
+    assert.equal(probes["/Docs/v1/TopNav"], "200");
+    assert.equal(probes["/Docs/v1"], "404");
+
+    assert.equal(data.Context["Found by"], "probe (Data/Alias.xml)");
+    assert.equal(data.Context.basePath, "/Docs/v1/TopNav");
+    assert.equal(data.Context.aliasPath, "/Docs/v1/TopNav/Data/Alias.xml");
+    assert.equal(data.Context.targetRelative, "Content/Guides/install.htm");
+
+    assert.match(data["Alias.xml cache"]["Before lookup"], /^network, age \d+ (ms|s)$/);
+    assert.equal(data["Alias.xml cache"].Maps, "2");
+
+    assert.equal(data.Match.Tier, "full");
+    assert.equal(data.Match["Copied alias"], "1000 (Install) -> content/guides/install.htm");
+    assert.equal(data.Match["Other alias"], "1001 (Setup) -> content/guides/install.htm");
+
+    assert.equal(data.Link.URL, `${window.location.origin}/Docs/v1/TopNav/Default.htm#cshid=1000`);
+    assert.equal(data.Link.CSHID, "1000");
+  }));
+
+test("ambiguous file-name candidates are listed", () =>
+  withPage("/Help/Content/c/overview.html", { site: "content", config: { diagnostics: true } }, async (page) => {
+    const { window, document } = page;
+    dispatchTrusted(document.querySelector(".copy-url-button"), click(window, { shiftKey: true, altKey: true }));
+    const dialog = await panel(page);
+    const { Match, Link } = tables(dialog);
+    assert.equal(Match.Tier, "file (ambiguous: no CSHID is copied)");
+    const candidates = Array.from(dialog.querySelectorAll("tr"), r => r.cells[0].textContent === "Candidate" ? r.cells[1].textContent : null).filter(Boolean);
+    assert.deepEqual(candidates, ["content/a/overview.html (1 shared path segments)", "content/b/overview.html (1 shared path segments)"]);
+    assert.equal(Link.CSHID, "none (fallback URL)");
+  }));
+
+test("the query parameter opens the panel and the report can be copied", () =>
+  withPage(`${TOPIC}?copycsh-diagnostics`, { config: { diagnostics: true } }, async (page) => {
+    const { window, document, written } = page;
+    const dialog = await panel(page);
+    assert.equal(document.activeElement.closest("dialog, [role=dialog]"), dialog);
+
+    const copyBtn = Array.from(dialog.querySelectorAll("button")).find(b => b.textContent === "Copy report");
+    dispatchTrusted(copyBtn, click(window));
+    await new Promise(resolve => window.setTimeout(resolve, 20));
+    assert.equal(written.length, 1);
+    assert.match(written[0], /^Page\n  URL: .*\?copycsh-diagnostics\n/);
+    assert.match(written[0], /\nContext\n  Found by: probe \(Data\/Alias\.xml\)\n  basePath: \/Docs\/v1\/TopNav\n/);
+    assert.match(written[0], /\nLink\n  URL: .*\/Docs\/v1\/TopNav\/Default\.htm#cshid=1000\n/);
+  }));
+
+test("the panel is off unless diagnostics is true", () =>
+  withPage(`${TOPIC}?copycsh-diagnostics`, {}, async ({ window, document }) => {
+    dispatchTrusted(document.querySelector(".copy-url-button"), click(window, { shiftKey: true, altKey: true }));
+    await new Promise(resolve => window.setTimeout(resolve, 50));
+    assert.ok(document.getElementById("copy-cshid-menu"));
+    assert.equal(document.getElementById("copy-cshid-diagnostics"), null);
+  }));
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage: withFixturePage, trustedClick, dispatchTrusted } = require("./helpers/load-page.js");
+
+const TOPIC = "/Docs/v1/TopNav/Content/Guides/install.htm";
+const denied = { writeText: async () => { throw new Error("NotAllowedError"); } };
+
+const withPage = (opts, fn) =>
+  withFixturePage(TOPIC, { config: { useCustomSettings: true, basePath: "/Docs/v1/TopNav" }, clipboard: denied, ...opts }, fn);
+
+// Opens the manual-copy dialog from the focused toolbar button.
+async function openManualDialog({ window, document }) {
+  const button = document.querySelector(".copy-url-button");
+  button.focus();
+  await window.CopyCSH.copy("https://docs.example.com/x", trustedClick(window));
+  return { button, dialog: document.getElementById("copy-cshid-modal") };
+}
+
+const key = (window, init) => new window.KeyboardEvent("keydown", { bubbles: true, cancelable: true, ...init });
+
+test("the manual-copy dialog is a labelled modal dialog with a backdrop", () =>
+  withPage({}, async (page) => {
+    const { document } = page;
+    const { dialog } = await openManualDialog(page);
+    assert.equal(dialog.getAttribute("role"), "dialog");
+    assert.equal(dialog.getAttribute("aria-modal"), "true");
+    assert.equal(document.getElementById(dialog.getAttribute("aria-labelledby")).textContent, "Copy URL manually:");
+    assert.ok(document.querySelector(".copy-csh-backdrop"));
+    assert.equal(document.activeElement, dialog.querySelector("textarea"));
+  }));
+
+test("Tab and Shift+Tab stay inside the dialog", () =>
+  withPage({}, async (page) => {
+    const { window, document } = page;
+    const { dialog } = await openManualDialog(page);
+    const [textArea, copyBtn, closeBtn] = dialog.querySelectorAll("textarea, button");
+
+    closeBtn.focus();
+    closeBtn.dispatchEvent(key(window, { key: "Tab" }));
+    assert.equal(document.activeElement, textArea);
+
+    textArea.dispatchEvent(key(window, { key: "Tab", shiftKey: true }));
+    assert.equal(document.activeElement, closeBtn);
+    assert.ok(copyBtn);
+  }));
+
+test("focus that leaves the dialog is pulled back", () =>
+  withPage({}, async (page) => {
+    const { document } = page;
+    const { button, dialog } = await openManualDialog(page);
+    button.focus();
+    assert.ok(dialog.contains(document.activeElement));
+  }));
+
+test("Escape closes from anywhere and focus returns to the toolbar button", () =>
+  withPage({}, async (page) => {
+    const { window, document } = page;
+    const { button } = await openManualDialog(page);
+    document.body.dispatchEvent(key(window, { key: "Escape" }));
+    assert.equal(document.getElementById("copy-cshid-modal"), null);
+    assert.equal(document.querySelector(".copy-csh-backdrop"), null);
+    assert.equal(document.activeElement, button);
+  }));
+
+test("a click on the backdrop closes the dialog", () =>
+  withPage({}, async (page) => {
+    const { document } = page;
+    await openManualDialog(page);
+    document.querySelector(".copy-csh-backdrop").click();
+    assert.equal(document.getElementById("copy-cshid-modal"), null);
+  }));
+
+test("<dialog> and showModal() are used where the browser has them", () =>
+  withPage({}, async (page) => {
+    const { window, document } = page;
+    window.HTMLDialogElement.prototype.showModal = function () { this.setAttribute("open", ""); };
+    window.HTMLDialogElement.prototype.close = function () { this.removeAttribute("open"); };
+
+    const { button, dialog } = await openManualDialog(page);
+    assert.equal(dialog.tagName, "DIALOG");
+    assert.ok(dialog.hasAttribute("open"));
+    assert.equal(dialog.hasAttribute("role"), false);
+    assert.equal(document.querySelector(".copy-csh-backdrop"), null, "::backdrop instead");
+
+    dialog.querySelectorAll("button")[1].click();
+    assert.equal(document.getElementById("copy-cshid-modal"), null);
+    assert.equal(document.activeElement, button);
+  }));
+
+test("messages go to one persistent live region; the toast is visual only", () =>
+  withPage({ clipboard: { writeText: async () => {} } }, async ({ window, document }) => {
+    await window.CopyCSH.copy("x", trustedClick(window));
+    const region = document.getElementById("copy-csh-live");
+    assert.equal(region.getAttribute("aria-live"), "polite");
+    assert.equal(document.querySelector(".copy-csh-toast").getAttribute("aria-hidden"), "true");
+
+    await new Promise(resolve => window.setTimeout(resolve, 80));
+    assert.equal(region.textContent, "Copied to clipboard!");
+
+    await window.CopyCSH.copy("x", trustedClick(window));
+    assert.equal(document.querySelectorAll("#copy-csh-live").length, 1);
+    assert.equal(region.textContent, "", "cleared so a repeat is announced again");
+  }));
+
+test("the CSH IDs panel is a modal dialog too", () =>
+  withPage({ clipboard: { writeText: async () => {} } }, async ({ window, document }) => {
+    const button = document.querySelector(".copy-url-button");
+    button.focus();
+    dispatchTrusted(button, new window.MouseEvent("click", { bubbles: true, shiftKey: true }));
+    const items = document.querySelectorAll("#copy-cshid-menu [role=menuitem]");
+    dispatchTrusted(items[items.length - 1], new window.MouseEvent("click", { bubbles: true }));
+
+    let panel;
+    for (let i = 0; i < 50 && !panel; i++) {
+      await new Promise(resolve => window.setTimeout(resolve, 10));
+      panel = document.getElementById("copy-cshid-aliases");
+    }
+    assert.ok(panel, "panel opened");
+    assert.equal(document.getElementById(panel.getAttribute("aria-labelledby")).textContent, "CSH IDs for this topic (2):");
+    assert.ok(panel.contains(document.activeElement));
+
+    document.body.dispatchEvent(key(window, { key: "Escape" }));
+    assert.equal(document.getElementById("copy-cshid-aliases"), null);
+    assert.equal(document.activeElement, button);
+  }));
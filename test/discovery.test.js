@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage } = require("./helpers/load-page.js");
+
+async function contextFor(site, urlPath, opts) {
+  let result;
+  await withPage(urlPath, { site, ...opts }, async ({ window, server }) => {
+    result = { ctx: await window.CopyCSH.getContext(), requests: server.requests };
+  });
+  return result;
+}
+
+test("TopNav output under /Docs/<ver>/TopNav", async () => {
+  const { ctx } = await contextFor("topnav", "/Docs/v1/TopNav/Content/Guides/install.htm");
+  assert.equal(ctx.basePath, "/Docs/v1/TopNav");
+  assert.equal(ctx.aliasPath, "/Docs/v1/TopNav/Data/Alias.xml");
+  assert.equal(ctx.targetRelative, "Content/Guides/install.htm");
+});
+
+test("output in an arbitrary folder with topics under Content/", async () => {
+  const { ctx } = await contextFor("content", "/Help/Content/a/overview.html");
+  assert.equal(ctx.basePath, "/Help");
+  assert.equal(ctx.targetRelative, "Content/a/overview.html");
+});
+
+test("output published at the site root without a Content folder", async () => {
+  const { ctx } = await contextFor("root", "/Topics/start.htm");
+  assert.equal(ctx.basePath, "/");
+  assert.equal(ctx.aliasPath, "/Data/Alias.xml");
+  assert.equal(ctx.targetRelative, "Topics/start.htm");
+});
+
+test("output without Alias.xml is found through HelpSystem.xml", async () => {
+  const { ctx } = await contextFor("nocsh", "/Manuals/Out/Topics/page.htm");
+  assert.equal(ctx.basePath, "/Manuals/Out");
+  assert.equal(ctx.targetRelative, "Topics/page.htm");
+});
+
+test("servers that refuse HEAD are probed with GET", async () => {
+  const { ctx, requests } = await contextFor("topnav", "/Docs/v1/TopNav/Content/Guides/install.htm",
+    { server: { rejectHead: true } });
+  assert.equal(ctx.basePath, "/Docs/v1/TopNav");
+  assert.ok(requests.some(r => r.method === "GET" && r.path === "/Docs/v1/TopNav/Data/Alias.xml"));
+});
+
+test("Tripane Default page routes to the topic in its hash", async () => {
+  const { ctx } = await contextFor("topnav", "/Docs/v1/TopNav/Default.htm#Content/Guides/install.htm");
+  assert.equal(ctx.basePath, "/Docs/v1/TopNav");
+  assert.equal(ctx.targetRelative, "Content/Guides/install.htm");
+});
+
+test("Flare metadata gives the root without probing", async () => {
+  const { ctx, requests } = await contextFor("content", "/Help/Content/a/overview.html", {
+    html: (server) => server.readFixture("/Help/Content/a/overview.html").replace("<html>", '<html data-mc-path-to-help-system="../../">')
+  });
+  assert.equal(ctx.basePath, "/Help");
+  assert.equal(requests.filter(r => r.method === "HEAD").length, 0);
+});
+
+test("a base remembered this session is used without probing for its own topics", async () => {
+  const preload = [{ code: "sessionStorage.setItem('copy-csh:bases', JSON.stringify(['/Help']));" }];
+  const { ctx, requests } = await contextFor("content", "/Help/Content/a/overview.html", { preload });
+  assert.equal(ctx.basePath, "/Help");
+  assert.equal(requests.filter(r => r.method === "HEAD").length, 0);
+});
+
+test("an output nested in a remembered base is probed for", async () => {
+  const { ctx, requests } = await contextFor("content", "/Help/Guide/Content/intro.html", {
+    html: (server) => server.readFixture("/Help/Content/a/overview.html"),
+    preload: [{ code: "sessionStorage.setItem('copy-csh:bases', JSON.stringify(['/Help']));" }],
+    server: { overrides: { "/Help/Guide/Data/Alias.xml": { body: "<CatapultAliasFile />" } } }
+  });
+  assert.equal(ctx.basePath, "/Help/Guide");
+  assert.equal(ctx.targetRelative, "Content/intro.html");
+  assert.ok(requests.some(r => r.method === "HEAD" && r.path === "/Help/Guide/Data/Alias.xml"));
+});
+
+test("useCustomSettings overrides discovery", async () => {
+  const { ctx, requests } = await contextFor("content", "/Help/Content/a/overview.html", {
+    config: { useCustomSettings: true, basePath: "/Help/", aliasPath: "/Help/Data/Alias.xml", defaultExt: "HTML" }
+  });
+  assert.equal(ctx.basePath, "/Help");
+  assert.equal(ctx.aliasPath, "/Help/Data/Alias.xml");
+  assert.equal(ctx.defaultExt, "html");
+  assert.equal(requests.filter(r => r.method === "HEAD").length, 0);
+});
+
+test("useCustomSettings with only basePath puts Alias.xml under it", async () => {
+  const { ctx } = await contextFor("topnav", "/Docs/v1/TopNav/Content/Guides/install.htm",
+    { config: { useCustomSettings: true, basePath: "/Docs/v1/TopNav" } });
+  assert.equal(ctx.aliasPath, "/Docs/v1/TopNav/Data/Alias.xml");
+  assert.equal(ctx.targetRelative, "Content/Guides/install.htm");
+});
@@ -0,0 +1,56 @@
+//
+// Static HTTP server for the fixture Flare outputs in test/fixtures.
+//
+// Serves one fixture site at the server root, answers HEAD like a real web server, records every
+// request, and lets a test replace individual paths (oversized or malformed Alias.xml, 405 on HEAD).
+//
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+const TYPES = { ".htm": "text/html", ".html": "text/html", ".xml": "application/xml", ".js": "text/javascript" };
+
+// overrides: { "/url/path": { status, body, headers } }
+function startFlareServer(site, { overrides = {}, rejectHead = false } = {}) {
+  const root = path.join(FIXTURES, site);
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const urlPath = decodeURIComponent(new URL(req.url, "http://fixture").pathname);
+    requests.push({ method: req.method, path: urlPath });
+
+    const send = (status, body = "", headers = {}) => {
+      res.writeHead(status, { "Content-Length": Buffer.byteLength(body), ...headers });
+      res.end(req.method === "HEAD" ? undefined : body);
+    };
+
+    if (rejectHead && req.method === "HEAD") return send(405);
+    if (overrides[urlPath]) {
+      const { status = 200, body = "", headers = {} } = overrides[urlPath];
+      return send(status, body, headers);
+    }
+
+    const file = path.join(root, urlPath);
+    if (!file.startsWith(root) || !fs.existsSync(file) || !fs.statSync(file).isFile()) return send(404, "Not found");
+    send(200, fs.readFileSync(file, "utf8"), { "Content-Type": TYPES[path.extname(file)] || "application/octet-stream" });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        origin: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        readFixture: (urlPath) => fs.readFileSync(path.join(root, urlPath.split(/[?#]/)[0]), "utf8"),
+        close: () => new Promise(done => {
+          server.close(done);
+          server.closeAllConnections(); // the page's fetch keeps connections alive
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startFlareServer, FIXTURES };
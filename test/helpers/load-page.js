@@ -0,0 +1,110 @@
+//
+// Loads a fixture topic into jsdom with copy-csh.js running in it.
+//
+// jsdom has no fetch or clipboard, so the page gets a fetch that goes to the fixture server through
+// Node's fetch, and an optional stub clipboard. Console output is captured instead of printed.
+//
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+// Internal module: package.json pins jsdom to an exact version because dispatchTrusted relies on it.
+const { implForWrapper } = require("jsdom/lib/jsdom/living/generated/utils.js");
+const { startFlareServer } = require("./flare-server.js");
+
+const SCRIPT = fs.readFileSync(path.join(__dirname, "..", "..", "copy-csh.js"), "utf8");
+
+// clipboard: { writeText, write } stubs, or null for no Clipboard API. secure: window.isSecureContext.
+// share: stand-in for navigator.share (jsdom has no Web Share API).
+// preload: [{ src, code }] scripts run before copy-csh.js, with document.currentScript.src set to src.
+// server may be null for a page opened from file://; pass its html and a file: URL as urlPath.
+async function loadPage(server, urlPath, { config, html, clipboard = null, secure = true, execCommand, share, preload = [] } = {}) {
+  const logs = { log: [], warn: [], error: [] };
+  const virtualConsole = new VirtualConsole();
+  for (const level of Object.keys(logs)) virtualConsole.on(level, (...args) => logs[level].push(args.join(" ")));
+
+  const events = [];
+  const dom = new JSDOM(html ?? server.readFixture(urlPath), {
+    url: server ? server.origin + urlPath : urlPath,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      window.fetch = (url, opts = {}) => {
+        // jsdom's AbortSignal is not Node's; forward aborts to one Node understands.
+        const ac = new AbortController();
+        opts.signal?.addEventListener("abort", () => ac.abort());
+        return fetch(new URL(url, window.location.href), { method: opts.method, headers: opts.headers, signal: ac.signal });
+      };
+      Object.defineProperty(window, "isSecureContext", { value: secure });
+      if (clipboard) Object.defineProperty(window.navigator, "clipboard", { value: clipboard });
+      if (clipboard?.write) window.ClipboardItem = class ClipboardItem { constructor(items) { this.items = items; } };
+      if (execCommand) window.document.execCommand = execCommand;
+      if (share) window.navigator.share = share;
+      if (config) window.CopyCSH = { ...config };
+
+      for (const name of ["ready", "copied", "shared", "fallback", "incoming", "error"]) {
+        window.document.addEventListener(`copycsh:${name}`, e => events.push({ name, detail: e.detail }));
+      }
+      for (const { src, code } of preload) {
+        Object.defineProperty(window.document, "currentScript", { value: { src }, configurable: true });
+        window.eval(code);
+        delete window.document.currentScript;
+      }
+      window.eval(SCRIPT);
+    }
+  });
+
+  const { window } = dom;
+  if (!events.some(e => e.name === "ready")) {
+    await new Promise(resolve => window.document.addEventListener("copycsh:ready", resolve, { once: true }));
+  }
+  return { window, document: window.document, events, logs, close: () => window.close() };
+}
+
+// Serves a fixture site, loads urlPath and waits for discovery, runs fn({ ...page, server, written }),
+// then closes both. written collects what the stub clipboard was given (pass clipboard to replace it).
+// site: fixture site ("topnav"); server: startFlareServer options; html: markup or (server) => markup.
+// The rest goes to loadPage.
+async function withPage(urlPath, { site = "topnav", server: serverOpts, html, ...opts } = {}, fn) {
+  const server = await startFlareServer(site, serverOpts);
+  const written = [];
+  let page;
+  try {
+    page = await loadPage(server, urlPath, {
+      clipboard: { writeText: async (text) => { written.push(text); } },
+      ...opts,
+      html: typeof html === "function" ? html(server) : html
+    });
+    await page.window.CopyCSH.getContext();
+    await new Promise(resolve => page.window.setTimeout(resolve, 0));
+    await fn({ ...page, server, written });
+  } finally {
+    page?.close();
+    await server.close();
+  }
+}
+
+// A real click on target (default: the page body), dispatched as trusted. Returns the event so
+// it can be passed to CopyCSH.copy(), which refuses anything but a trusted DOM event.
+function trustedClick(window, target = window.document.body) {
+  let clicked = null;
+  target.addEventListener("click", (e) => { clicked = e; }, { once: true });
+  dispatchTrusted(target, new window.MouseEvent("click", { bubbles: true, clientX: 20, clientY: 20 }));
+  return clicked;
+}
+
+// Dispatches a real DOM event marked as trusted, as the browser does for user input.
+// dispatchEvent() always clears isTrusted, so this goes through jsdom's internal dispatch.
+function dispatchTrusted(target, event) {
+  const eventImpl = implForWrapper(event);
+  eventImpl.isTrusted = true;
+  return implForWrapper(target)._dispatch(eventImpl);
+}
+
+// Resolves with the detail of the next copycsh:<name> event.
+function nextEvent(document, name) {
+  return new Promise(resolve => document.addEventListener(`copycsh:${name}`, e => resolve(e.detail), { once: true }));
+}
+
+module.exports = { loadPage, withPage, trustedClick, dispatchTrusted, nextEvent };
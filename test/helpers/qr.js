@@ -0,0 +1,26 @@
+//
+// Reads a QR code back with jsQR, a decoder independent of the encoder in copy-csh.js.
+//
+
+const jsQR = require("jsqr");
+
+// size: width in modules; isDark(x, y): whether that module is dark; quiet: blank modules to add
+// around it. Each module is painted scale pixels wide. Resolves to the decoded text or null.
+function readQr(size, isDark, { quiet = 0, scale = 4 } = {}) {
+  const width = (size + quiet * 2) * scale;
+  const pixels = new Uint8ClampedArray(width * width * 4).fill(255);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isDark(x, y)) continue;
+      for (let dy = 0; dy < scale; dy++) {
+        for (let dx = 0; dx < scale; dx++) {
+          const i = (((y + quiet) * scale + dy) * width + (x + quiet) * scale + dx) * 4;
+          pixels[i] = pixels[i + 1] = pixels[i + 2] = 0;
+        }
+      }
+    }
+  }
+  return jsQR(pixels, width, width)?.data ?? null;
+}
+
+module.exports = { readQr };
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage: withFixturePage } = require("./helpers/load-page.js");
+
+const BASE = "/Docs/v1/TopNav";
+const INSTALL = `${BASE}/Content/Guides/install.htm`;
+const UNINSTALL = `${BASE}/Content/Guides/uninstall.htm`;
+const ALIAS_XML = `<?xml version="1.0" encoding="utf-8"?>
+<CatapultAliasFile>
+  <Map Name="Install" Link="Content/Guides/install.htm" ResolvedId="1000" />
+  <Map Name="Setup" Link="Content/Guides/install.htm" ResolvedId="1001" />
+  <Map Name="Remove" Link="Content/Guides/Uninstall%20Steps.htm#Before" ResolvedId="1100" />
+  <Map Name="Requirements" Link="Content/Guides/install.htm#requirements" ResolvedId="1200" />
+</CatapultAliasFile>`;
+
+const SERVER = { overrides: { [`${BASE}/Data/Alias.xml`]: { body: ALIAS_XML } } };
+
+const withPage = (urlPath, { config, ...opts }, fn) =>
+  withFixturePage(urlPath, { server: SERVER, config: { resolveIncomingLinks: true, ...config }, ...opts }, fn);
+
+// Detail of the copycsh:incoming event (recorded from page load on).
+async function incoming({ window, events }) {
+  for (let i = 0; i < 100 && !events.some(e => e.name === "incoming"); i++) {
+    await new Promise(resolve => window.setTimeout(resolve, 20));
+  }
+  return events.find(e => e.name === "incoming")?.detail;
+}
+
+test("a #cshid= on its own topic is dropped from the address bar", () =>
+  withPage(`${INSTALL}?skin=dark#cshid=1001`, {}, async (page) => {
+    const detail = await incoming(page);
+    assert.equal(detail.action, "rewrite");
+    assert.equal(page.window.location.href, `${page.window.location.origin}${INSTALL}`);
+  }));
+
+test("an alias with a bookmark keeps the bookmark", () =>
+  withPage(`${INSTALL}#cshid=Requirements`, {}, async (page) => {
+    assert.equal((await incoming(page)).action, "rewrite");
+    assert.equal(page.window.location.hash, "#requirements");
+  }));
+
+test("a legacy ?cshid= for another topic opens that topic", () =>
+  withPage(`${UNINSTALL}?cshid=install`, {}, async (page) => {
+    const detail = await incoming(page);
+    assert.deepEqual({ ...detail }, {
+      cshId: "install",
+      action: "redirect",
+      url: `${page.window.location.origin}${INSTALL}`,
+      targetRelative: "Content/Guides/install.htm"
+    });
+  }));
+
+test("the redirect keeps the alias path's case and the allowed query parameters", () =>
+  withPage(`${INSTALL}?lang=de&skin=dark#cshid=1100`, { config: { keepQueryParams: ["lang"] } }, async (page) => {
+    const { url } = await incoming(page);
+    assert.equal(url, `${page.window.location.origin}${BASE}/Content/Guides/Uninstall%20Steps.htm?lang=de#Before`);
+  }));
+
+test("an unknown ID shows a notice and leaves the page alone", () =>
+  withPage(`${UNINSTALL}#cshid=9999`, {}, async (page) => {
+    const { window, document } = page;
+    assert.deepEqual({ ...(await incoming(page)) }, { cshId: "9999", action: "unknown" });
+    const notice = document.getElementById("copy-cshid-notice");
+    assert.match(notice.textContent, /No topic has the help ID “9999”/);
+    assert.equal(window.location.hash, "#cshid=9999");
+    assert.ok(page.logs.warn.some(w => /Unknown CSH ID/.test(w)));
+
+    notice.querySelector("button").click();
+    assert.equal(document.getElementById("copy-cshid-notice"), null);
+  }));
+
+test("#cshid= is left to the page unless resolveIncomingLinks is true", () =>
+  withFixturePage(`${UNINSTALL}#cshid=1000`, { server: SERVER }, async (page) => {
+    await new Promise(resolve => page.window.setTimeout(resolve, 100));
+    assert.ok(!page.events.some(e => e.name === "incoming"));
+    assert.equal(page.window.location.hash, "#cshid=1000");
+  }));
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage: withFixturePage, dispatchTrusted, nextEvent } = require("./helpers/load-page.js");
+
+const BASE = "/Docs/v1/TopNav";
+const TOPIC = `${BASE}/Content/Guides/uninstall.htm`;
+
+const withPage = (urlPath, opts, fn) => withFixturePage(urlPath, {
+  html: (server) => server.readFixture(urlPath).replace("<p>Fixture topic.</p>", `
+    <nav class="toc"><a id="toc-install" href="${BASE}/Content/Guides/install.htm">Installing</a></nav>
+    <p><a id="xref" href="install.htm">Install first</a> or <a id="external" href="https://example.com/">elsewhere</a>.</p>`),
+  ...opts
+}, fn);
+
+test("relative hrefs are resolved against the current topic", () =>
+  withPage(TOPIC, {}, async ({ window }) => {
+    const link = await window.CopyCSH.buildLink({ href: "install.htm" });
+    assert.equal(link.url, `${window.location.origin}${BASE}/Default.htm#cshid=1000`);
+    assert.equal(link.targetRelative, "Content/Guides/install.htm");
+
+    const result = await window.CopyCSH.lookupCshId({ href: "../Guides/install.htm#steps" });
+    assert.equal(result.cshId, "1000");
+  }));
+
+test("in a Tripane shell, relative hrefs follow the routed topic", () =>
+  withPage(`${BASE}/Default.htm#Content/Guides/uninstall.htm`, {}, async ({ window }) => {
+    const link = await window.CopyCSH.buildLink({ href: "install.htm" });
+    assert.equal(link.cshId, "1000");
+  }));
+
+test("hrefs outside the output are not topics", () =>
+  withPage(TOPIC, {}, async ({ window }) => {
+    assert.equal(await window.CopyCSH.lookupCshId({ href: "https://example.com/Content/Guides/install.htm" }), null);
+    assert.equal(await window.CopyCSH.lookupCshId({ href: "/Docs/v2/TopNav/Content/Guides/install.htm" }), null);
+    await assert.rejects(window.CopyCSH.buildLink({ href: "../../Default.htm" }), /Not a topic/);
+  }));
+
+test("topics without an alias get the same clean-URL fallback", () =>
+  withPage(TOPIC, {}, async ({ window }) => {
+    const link = await window.CopyCSH.buildLink({ href: "uninstall.htm#remove" });
+    assert.equal(link.cshId, null);
+    assert.equal(link.url, `${window.location.origin}${TOPIC}#remove`);
+  }));
+
+test("hovering a topic link shows a button that copies its CSH link", () =>
+  withPage(TOPIC, { config: { linkButtons: true } }, async ({ window, document, written }) => {
+    document.getElementById("xref").dispatchEvent(new window.MouseEvent("mouseover", { bubbles: true }));
+    const button = document.getElementById("copy-cshid-link-button");
+    assert.equal(button.hidden, false);
+    assert.equal(button.getAttribute("aria-label"), "Copy CSH link to: Install first");
+
+    const copied = nextEvent(document, "copied");
+    dispatchTrusted(button, new window.MouseEvent("click", { bubbles: true, cancelable: true }));
+    await copied;
+    assert.deepEqual(written, [`${window.location.origin}${BASE}/Default.htm#cshid=1000`]);
+  }));
+
+test("TOC entries get the button too, external links do not", () =>
+  withPage(TOPIC, { config: { linkButtons: true } }, async ({ window, document }) => {
+    document.getElementById("external").dispatchEvent(new window.MouseEvent("mouseover", { bubbles: true }));
+    assert.equal(document.getElementById("copy-cshid-link-button"), null);
+
+    document.getElementById("toc-install").dispatchEvent(new window.FocusEvent("focusin", { bubbles: true }));
+    assert.equal(document.getElementById("copy-cshid-link-button").getAttribute("aria-label"), "Copy CSH link to: Installing");
+  }));
+
+test("linkButtonSelector limits which links get the button", () =>
+  withPage(TOPIC, { config: { linkButtons: true, linkButtonSelector: ".toc a" } }, async ({ window, document }) => {
+    document.getElementById("xref").dispatchEvent(new window.MouseEvent("mouseover", { bubbles: true }));
+    assert.equal(document.getElementById("copy-cshid-link-button"), null);
+  }));
+
+test("synthetic clicks on the link button copy nothing", () =>
+  withPage(TOPIC, { config: { linkButtons: true } }, async ({ window, document, logs, written }) => {
+    document.getElementById("xref").dispatchEvent(new window.MouseEvent("mouseover", { bubbles: true }));
+    document.getElementById("copy-cshid-link-button").click();
+    await new Promise(resolve => window.setTimeout(resolve, 20));
+    assert.deepEqual(written, []);
+    assert.ok(logs.warn.some(w => /synthetic/.test(w)));
+  }));
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage: withFixturePage, dispatchTrusted, nextEvent } = require("./helpers/load-page.js");
+const { readQr } = require("./helpers/qr.js");
+
+const BASE = "/Docs/v1/TopNav";
+const TOPIC = `${BASE}/Content/Guides/install.htm`;
+const denied = { writeText: async () => { throw new Error("NotAllowedError"); } };
+
+const withPage = (opts, fn) => withFixturePage(TOPIC, { clipboard: denied, ...opts }, fn);
+
+const click = (window) => new window.MouseEvent("click", { bubbles: true, clientX: 20, clientY: 20 });
+
+function menuItem(document, label) {
+  return Array.from(document.querySelectorAll("#copy-cshid-menu [role=menuitem]")).find(i => i.textContent === label);
+}
+
+async function openMenu({ window, document }) {
+  dispatchTrusted(document.querySelector(".copy-url-button"), click(window));
+  await new Promise(resolve => window.setTimeout(resolve, 0));
+  return document.getElementById("copy-cshid-menu");
+}
+
+// Reads the drawn SVG back: every "M x y" of the path is one dark module.
+function decodeSvg(svg) {
+  const size = Number(svg.getAttribute("viewBox").split(" ")[2]);
+  const dark = new Set(Array.from(svg.querySelector("path").getAttribute("d").matchAll(/M(\d+) (\d+)/g), m => `${m[1]} ${m[2]}`));
+  return readQr(size, (x, y) => dark.has(`${x} ${y}`));
+}
+
+test("the manual-copy dialog toggles a QR code of the link", () =>
+  withPage({ config: { qrCode: true } }, async ({ window, document }) => {
+    const error = nextEvent(document, "error");
+    dispatchTrusted(document.querySelector(".copy-url-button"), click(window));
+    await error;
+
+    const dialog = document.getElementById("copy-cshid-modal");
+    const qrBtn = Array.from(dialog.querySelectorAll("button")).find(b => b.textContent === "QR code");
+    const qrBox = document.getElementById(qrBtn.getAttribute("aria-controls"));
+    assert.equal(qrBtn.getAttribute("aria-expanded"), "false");
+    assert.equal(qrBox.hidden, true);
+
+    qrBtn.click();
+    assert.equal(qrBtn.getAttribute("aria-expanded"), "true");
+    const svg = qrBox.querySelector("svg");
+    assert.equal(svg.getAttribute("role"), "img");
+    assert.equal(svg.getAttribute("aria-label"), "QR code for this link");
+    assert.equal(decodeSvg(svg), `${window.location.origin}${BASE}/Default.htm#cshid=1000`);
+
+    qrBtn.click();
+    assert.equal(qrBox.hidden, true);
+  }));
+
+test("Show QR code in the format menu opens the dialog with the code shown", () =>
+  withPage({ config: { qrCode: true, copyMenu: true } }, async (page) => {
+    const { window, document } = page;
+    await openMenu(page);
+    dispatchTrusted(menuItem(document, "Show QR code"), click(window));
+    await new Promise(resolve => window.setTimeout(resolve, 50));
+
+    const dialog = document.getElementById("copy-cshid-modal");
+    assert.equal(document.getElementById(dialog.getAttribute("aria-labelledby")).textContent, "Scan or copy the link:");
+    assert.equal(dialog.querySelector("textarea").value, `${window.location.origin}${BASE}/Default.htm#cshid=1000`);
+    assert.equal(dialog.querySelector(".copy-csh-qr").hidden, false);
+    assert.ok(dialog.querySelector(".copy-csh-qr svg"));
+  }));
+
+test("Share… sends the link and topic title to the share sheet", () => {
+  const shared = [];
+  return withPage({ config: { share: true, copyMenu: true }, share: async (data) => { shared.push(data); } }, async (page) => {
+    const { window, document } = page;
+    await openMenu(page);
+    const done = nextEvent(document, "shared");
+    dispatchTrusted(menuItem(document, "Share…"), click(window));
+    const detail = await done;
+
+    const url = `${window.location.origin}${BASE}/Default.htm#cshid=1000`;
+    assert.deepEqual(shared.map(d => ({ ...d })), [{ title: "Installing the Product", url }]);
+    assert.equal(detail.cshId, "1000");
+    assert.equal(menuItem(document, "Show QR code"), undefined, "qrCode is off");
+  });
+});
+
+test("a cancelled share sheet is not an error", () =>
+  withPage({ config: { share: true, copyMenu: true }, share: async () => { throw Object.assign(new Error("cancelled"), { name: "AbortError" }); } }, async (page) => {
+    const { window, document, events } = page;
+    await openMenu(page);
+    dispatchTrusted(menuItem(document, "Share…"), click(window));
+    await new Promise(resolve => window.setTimeout(resolve, 50));
+    assert.equal(document.getElementById("copy-cshid-modal"), null);
+    assert.ok(!events.some(e => e.name === "error" || e.name === "shared"));
+  }));
+
+test("a failed share shows the link and its QR code instead", () =>
+  withPage({ config: { share: true, copyMenu: true }, share: async () => { throw new Error("NotAllowedError"); } }, async (page) => {
+    const { window, document } = page;
+    await openMenu(page);
+    const error = nextEvent(document, "error");
+    dispatchTrusted(menuItem(document, "Share…"), click(window));
+    assert.equal((await error).type, "share-failed");
+
+    const dialog = document.getElementById("copy-cshid-modal");
+    assert.ok(dialog.querySelector(".copy-csh-qr svg"));
+    assert.ok(Array.from(dialog.querySelectorAll("button")).some(b => b.textContent === "Share"));
+  }));
+
+test("no share items without the Web Share API", () =>
+  withPage({ config: { share: true, copyMenu: true } }, async (page) => {
+    const { document } = page;
+    await openMenu(page);
+    assert.equal(menuItem(document, "Share…"), undefined);
+    assert.equal(document.querySelectorAll("#copy-cshid-menu [role=menuitem]").length, 5);
+  }));
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage: withFixturePage, dispatchTrusted, nextEvent } = require("./helpers/load-page.js");
+
+const BASE = "/Docs/v1/TopNav";
+const TOPIC = `${BASE}/Content/Guides/uninstall.htm`;
+
+const withPage = (opts, fn) => withFixturePage(TOPIC, {
+  html: (server) => server.readFixture(TOPIC).replace("<p>Fixture topic.</p>", `
+    <p><a id="to-install" href="install.htm">Install first</a></p>
+    <p><a id="tripane" href="../../Default.htm#Content/Guides/install.htm%23steps">Install steps</a></p>
+    <p><a id="external" href="https://example.com/Content/Guides/install.htm">Elsewhere</a></p>
+    <p><a id="pdf" href="manual.pdf">Manual</a></p>`),
+  ...opts
+}, fn);
+
+const keydown = (window, init) => new window.KeyboardEvent("keydown", { bubbles: true, cancelable: true, ...init });
+const contextmenu = (window, init) => new window.MouseEvent("contextmenu", { bubbles: true, cancelable: true, clientX: 30, clientY: 30, ...init });
+
+test("the shortcut copies the current topic's link", () =>
+  withPage({ config: { copyShortcut: "Ctrl+Shift+L" } }, async ({ window, document, written }) => {
+    assert.equal(document.querySelector(".copy-url-button").getAttribute("aria-keyshortcuts"), "Control+Shift+L");
+
+    const copied = nextEvent(document, "copied");
+    const notCancelled = dispatchTrusted(document.body, keydown(window, { key: "L", code: "KeyL", ctrlKey: true, shiftKey: true }));
+    await copied;
+    assert.equal(notCancelled, false);
+    assert.deepEqual(written, [`${window.location.origin}${TOPIC}`]);
+  }));
+
+test("the shortcut ignores other modifiers and synthetic key events", () =>
+  withPage({ config: { copyShortcut: "Ctrl+Shift+L" } }, async ({ window, document, logs, written }) => {
+    assert.equal(dispatchTrusted(document.body, keydown(window, { key: "l", code: "KeyL", ctrlKey: true })), true);
+
+    document.body.dispatchEvent(keydown(window, { key: "L", code: "KeyL", ctrlKey: true, shiftKey: true }));
+    await new Promise(resolve => window.setTimeout(resolve, 20));
+    assert.deepEqual(written, []);
+    assert.ok(logs.warn.some(w => /synthetic/.test(w)));
+  }));
+
+test("an invalid shortcut is ignored with a warning", () =>
+  withPage({ config: { copyShortcut: "Ctrl+Shift" } }, async ({ document, logs }) => {
+    assert.equal(document.querySelector(".copy-url-button").hasAttribute("aria-keyshortcuts"), false);
+    assert.ok(logs.warn.some(w => /Ignoring copyShortcut/.test(w)));
+  }));
+
+test("right-clicking a link to another topic copies that topic's CSH link", () =>
+  withPage({ config: { linkContextMenu: true } }, async ({ window, document, written }) => {
+    const notCancelled = dispatchTrusted(document.getElementById("to-install"), contextmenu(window));
+    assert.equal(notCancelled, false);
+
+    const menu = document.getElementById("copy-cshid-menu");
+    assert.match(menu.getAttribute("aria-label"), /Install first/);
+    assert.equal(menu.querySelectorAll("[role=menuitem]").length, 4, "formats only; the alias panel is for the current topic");
+
+    const copied = nextEvent(document, "copied");
+    dispatchTrusted(menu.querySelector("[role=menuitem]"), new window.MouseEvent("click", { bubbles: true }));
+    await copied;
+    assert.deepEqual(written, [`${window.location.origin}${BASE}/Default.htm#cshid=1000`]);
+  }));
+
+test("Tripane routes in links are followed to the topic and bookmark", () =>
+  withPage({ config: { linkContextMenu: true, copyFormat: "markdown" } }, async ({ window, document, written }) => {
+    dispatchTrusted(document.getElementById("tripane"), contextmenu(window));
+    const copied = nextEvent(document, "copied");
+    const markdown = document.querySelectorAll("#copy-cshid-menu [role=menuitem]")[1];
+    dispatchTrusted(markdown, new window.MouseEvent("click", { bubbles: true }));
+    const detail = await copied;
+    assert.equal(detail.targetRelative, "Content/Guides/install.htm");
+    // No bookmark-level alias, so the link keeps Flare's route to the bookmark.
+    assert.deepEqual(written, [`[Install steps](${window.location.origin}${BASE}/Default.htm#Content/Guides/install.htm%23steps)`]);
+  }));
+
+test("the browser menu is kept for other links, Shift+right-click and synthetic events", () =>
+  withPage({ config: { linkContextMenu: true } }, async ({ window, document }) => {
+    assert.equal(dispatchTrusted(document.getElementById("external"), contextmenu(window)), true);
+    assert.equal(dispatchTrusted(document.getElementById("pdf"), contextmenu(window)), true);
+    assert.equal(dispatchTrusted(document.getElementById("to-install"), contextmenu(window, { shiftKey: true })), true);
+    assert.equal(document.getElementById("to-install").dispatchEvent(contextmenu(window)), true);
+    assert.equal(document.getElementById("copy-cshid-menu"), null);
+  }));
+
+test("without linkContextMenu links keep the browser menu", () =>
+  withPage({}, async ({ window, document }) => {
+    assert.equal(dispatchTrusted(document.getElementById("to-install"), contextmenu(window)), true);
+  }));
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage: withFixturePage, trustedClick } = require("./helpers/load-page.js");
+
+const TOPIC = "/Docs/v1/TopNav/Content/Guides/install.htm";
+
+const withPage = ({ lang, config = {}, clipboard }, fn) => withFixturePage(TOPIC, {
+  html: lang ? (server) => server.readFixture(TOPIC).replace("<html>", `<html lang="${lang}">`) : undefined,
+  config: { useCustomSettings: true, basePath: "/Docs/v1/TopNav", ...config },
+  clipboard: clipboard || { writeText: async () => {} }
+}, fn);
+
+const toastText = (document) => document.querySelector(".copy-csh-toast")?.textContent;
+const denied = { writeText: async () => { throw new Error("NotAllowedError"); } };
+
+test("strings follow <html lang>", () =>
+  withPage({ lang: "de-DE" }, async ({ window, document }) => {
+    await window.CopyCSH.copy("x", trustedClick(window));
+    assert.equal(toastText(document), "In die Zwischenablage kopiert!");
+  }));
+
+test("the manual-copy dialog is translated", () =>
+  withPage({ lang: "fr", clipboard: denied }, async ({ window, document }) => {
+    await window.CopyCSH.copy("x", trustedClick(window), "markdown");
+    const dialog = document.getElementById("copy-cshid-modal");
+    assert.equal(dialog.querySelector(".copy-csh-dialog-title").textContent, "Copiez le lien (Markdown) manuellement :");
+    assert.deepEqual([...dialog.querySelectorAll("button")].map(b => b.textContent), ["Copier", "Fermer"]);
+  }));
+
+test("languages without a table fall back to English", () =>
+  withPage({ lang: "pt-BR" }, async ({ window, document }) => {
+    await window.CopyCSH.copy("x", trustedClick(window));
+    assert.equal(toastText(document), "Copied to clipboard!");
+  }));
+
+test("lang and strings in window.CopyCSH override the page", () =>
+  withPage({ lang: "de", config: { lang: "ja", strings: { copied: "Link copied", ja: { copied: "コピー完了" } } } },
+    async ({ window, document }) => {
+      await window.CopyCSH.copy("x", trustedClick(window));
+      assert.equal(toastText(document), "コピー完了");
+    }));
+
+test("overrides apply to languages without a built-in table", () =>
+  withPage({ lang: "es-MX", config: { strings: { es: { copied: "Enlace copiado" } } } }, async ({ window, document }) => {
+    await window.CopyCSH.copy("x", trustedClick(window));
+    assert.equal(toastText(document), "Enlace copiado");
+  }));
+
+test("flat string overrides apply to every language", () =>
+  withPage({ config: { strings: { copied: "Link copied" } } }, async ({ window, document }) => {
+    await window.CopyCSH.copy("x", trustedClick(window));
+    assert.equal(toastText(document), "Link copied");
+  }));
+
+test("the stylesheet goes first in <head> so the skin can override it", () =>
+  withPage({}, async ({ window, document }) => {
+    const style = document.head.firstElementChild;
+    assert.equal(style.id, "copy-csh-styles");
+    assert.match(style.textContent, /:where\(:root\) \{\s+--copy-csh-bg: #ffffff/);
+    assert.match(style.textContent, /@media \(prefers-color-scheme: dark\)/);
+    assert.match(style.textContent, /@media \(prefers-reduced-motion: reduce\) \{ \.copy-csh-toast \{ transition: none; \} \}/);
+
+    await window.CopyCSH.copy("x", trustedClick(window));
+    const toast = document.querySelector(".copy-csh-toast");
+    assert.equal(toast.style.background, "", "colours come from the stylesheet");
+  }));
+
+test("colorScheme forces one palette", () =>
+  withPage({ config: { colorScheme: "dark" } }, async ({ document }) => {
+    const css = document.getElementById("copy-csh-styles").textContent;
+    assert.match(css, /:where\(:root\) \{\s+--copy-csh-bg: #262626/);
+    assert.doesNotMatch(css, /prefers-color-scheme/);
+  }));
+
+test("injectStyles: false leaves styling to the skin", () =>
+  withPage({ config: { injectStyles: false }, clipboard: denied }, async ({ window, document }) => {
+    assert.equal(document.getElementById("copy-csh-styles"), null);
+    await window.CopyCSH.copy("x", trustedClick(window));
+    assert.equal(document.getElementById("copy-cshid-modal").className, "copy-csh-dialog");
+  }));
@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withPage, dispatchTrusted, nextEvent } = require("./helpers/load-page.js");
+
+const INSTALL = "/Docs/v1/TopNav/Content/Guides/install.htm";
+const UNINSTALL = "/Docs/v1/TopNav/Content/Guides/uninstall.htm";
+const VERSIONS = [
+  { label: "Latest", basePath: "/Docs/latest/TopNav" },
+  { label: "2.0", basePath: "/Docs/v2/TopNav/" },
+  { label: "1.0", basePath: "/Docs/v1/TopNav" },
+  { label: "0.9", basePath: "/Docs/v0/TopNav" },
+  { label: "Beta", basePath: "/Docs/beta/TopNav" }
+];
+
+const withVersions = (topic, config, fn) => withPage(topic, { config: { versions: VERSIONS, ...config } }, fn);
+
+const click = (window, init) => new window.MouseEvent("click", { bubbles: true, clientX: 20, clientY: 20, ...init });
+
+async function openVersionPanel({ window, document }) {
+  dispatchTrusted(document.querySelector(".copy-url-button"), click(window, { shiftKey: true }));
+  const item = Array.from(document.querySelectorAll("#copy-cshid-menu [role=menuitem]")).find(i => i.textContent === "Link to another version…");
+  dispatchTrusted(item, click(window));
+  for (let i = 0; i < 50 && !document.getElementById("copy-cshid-versions"); i++) {
+    await new Promise(resolve => window.setTimeout(resolve, 20));
+  }
+  return document.getElementById("copy-cshid-versions");
+}
+
+test("the version panel shows which versions have the topic", () =>
+  withVersions(INSTALL, {}, async (page) => {
+    const { window } = page;
+    const panel = await openVersionPanel(page);
+    const rows = Array.from(panel.querySelectorAll("li"), li => [
+      li.firstChild.textContent,
+      li.querySelector(".copy-csh-version-status").textContent.replace(window.location.origin, "")
+    ]);
+    assert.deepEqual(rows, [
+      ["Latest", "/Docs/latest/TopNav/Default.htm#cshid=2000"],
+      ["2.0", "/Docs/v2/TopNav/Default.htm#cshid=2000"],
+      ["1.0 (this version)", "/Docs/v1/TopNav/Default.htm#cshid=1000"],
+      ["0.9", "Topic not in this version"],
+      ["Beta", "Could not check this version"]
+    ]);
+    assert.equal(panel.querySelectorAll(".copy-csh-version-missing button").length, 0);
+  }));
+
+test("a version's copy button copies the link to that version", () =>
+  withVersions(INSTALL, {}, async (page) => {
+    const { window, document, written } = page;
+    const panel = await openVersionPanel(page);
+    const copyBtn = panel.querySelector("button[aria-label='Copy link to 2.0']");
+    const copied = nextEvent(document, "copied");
+    dispatchTrusted(copyBtn, click(window));
+    const detail = await copied;
+    assert.equal(detail.version, "2.0");
+    assert.deepEqual(written, [`${window.location.origin}/Docs/v2/TopNav/Default.htm#cshid=2000`]);
+    assert.equal(document.getElementById("copy-cshid-versions"), null);
+  }));
+
+test("defaultVersion points copied links at that version, found by topic path", () =>
+  withVersions(UNINSTALL, { defaultVersion: "latest" }, async ({ window, document, written }) => {
+    const copied = nextEvent(document, "copied");
+    dispatchTrusted(document.querySelector(".copy-url-button"), click(window));
+    assert.equal((await copied).version, "Latest");
+    // No CSHID in 1.0, but the latest Alias.xml maps the same topic path.
+    assert.deepEqual(written, [`${window.location.origin}/Docs/latest/TopNav/Default.htm#cshid=2100`]);
+  }));
+
+test("a version without the topic falls back to this version's link", () =>
+  withVersions(INSTALL, { defaultVersion: "0.9" }, async ({ window, logs }) => {
+    const link = await window.CopyCSH.buildLink();
+    assert.equal(link.url, `${window.location.origin}/Docs/v1/TopNav/Default.htm#cshid=1000`);
+    assert.equal(link.version, undefined);
+    assert.ok(logs.warn.some(w => /not found in version 0\.9/.test(w)));
+
+    const v2 = await window.CopyCSH.buildLink({ version: "2.0" });
+    assert.equal(v2.version, "2.0");
+    assert.equal(v2.cshId, "2000");
+  }));
+
+test("without versions the format menu has no version item", () =>
+  withVersions(INSTALL, { versions: [] }, async ({ window, document }) => {
+    dispatchTrusted(document.querySelector(".copy-url-button"), click(window, { shiftKey: true }));
+    const labels = Array.from(document.querySelectorAll("#copy-cshid-menu [role=menuitem]"), i => i.textContent);
+    assert.ok(!labels.includes("Link to another version…"));
+  }));
+
+test("a section link to another version keeps its anchor", () =>
+  withVersions(INSTALL, { defaultVersion: "2.0" }, async ({ window }) => {
+    const link = await window.CopyCSH.buildLink({ anchor: "steps" });
+    assert.equal(link.version, "2.0");
+    assert.equal(link.url, `${window.location.origin}/Docs/v2/TopNav/Default.htm#Content/Guides/install.htm%23steps`);
+
+    const here = await window.CopyCSH.buildLink({ anchor: "steps", version: "" });
+    assert.equal(here.url, `${window.location.origin}/Docs/v1/TopNav/Default.htm#Content/Guides/install.htm%23steps`);
+  }));
+
+test("alias Names are matched across versions regardless of case", () =>
+  // 2.0 moved the topic and changed the Name's case; only the Name can find it.
+  withPage(INSTALL, {
+    config: { versions: VERSIONS },
+    server: { overrides: { "/Docs/v2/TopNav/Data/Alias.xml": { body: `<CatapultAliasFile>
+  <Map Name="INSTALL" Link="Content/Setup/installing.htm" ResolvedId="2000" />
+</CatapultAliasFile>` } } }
+  }, async ({ window }) => {
+    const link = await window.CopyCSH.buildLink({ version: "2.0" });
+    assert.equal(link.version, "2.0");
+    assert.equal(link.cshId, "2000");
+  }));
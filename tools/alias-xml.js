@@ -0,0 +1,58 @@
+//
+// alias-xml - Node helpers shared by the copy-csh command-line tools.
+//
+// The browser reads Alias.xml with DOMParser; Node has no DOM, so the Map elements are read
+// with a small attribute scanner instead. Everything after that (normalization, the three
+// lookup tiers, the extension allow-list) comes from copy-csh.js itself.
+//
+
+const fs = require("fs");
+const path = require("path");
+
+const core = require("../copy-csh.js");
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXmlEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === "#") {
+      const code = ref[1].toLowerCase() === "x" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[ref.toLowerCase()] ?? match;
+  });
+}
+
+// Returns [{ link, name, resolvedId, line }] in document order, the same shape copy-csh.js builds from DOM nodes.
+function readAliasMaps(xmlText) {
+  const maps = [];
+  const text = xmlText.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, " "));
+  const mapTag = /<Map\b([^>]*)>/g;
+  let m;
+  while ((m = mapTag.exec(text))) {
+    const attrs = {};
+    const attrRe = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let a;
+    while ((a = attrRe.exec(m[1]))) attrs[a[1]] = decodeXmlEntities(a[2] ?? a[3]);
+    maps.push({
+      link: attrs.Link || "",
+      name: attrs.Name || "",
+      resolvedId: attrs.ResolvedId || "",
+      line: text.slice(0, m.index).split("\n").length
+    });
+  }
+  return maps;
+}
+
+function readAliasFile(aliasFile) {
+  const xmlText = fs.readFileSync(aliasFile, "utf8");
+  return { xmlText, maps: readAliasMaps(xmlText) };
+}
+
+// Resolves a Flare output folder to its Data/Alias.xml (or takes an explicit Alias.xml path).
+function locateAliasXml(outputDir, aliasOption) {
+  if (aliasOption) return path.resolve(outputDir, aliasOption);
+  return path.join(outputDir, "Data", "Alias.xml");
+}
+
+module.exports = { core, decodeXmlEntities, readAliasMaps, readAliasFile, locateAliasXml };
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+//
+// audit-alias - Pre-publish Alias.xml audit for a built MadCap Flare output folder.
+//
+// Applies the same Alias.xml rules as copy-csh.js (see CopyCSHCore) to a build on disk,
+// so broken CSH mappings are found before release instead of by readers clicking CopyURL.
+//
+// Usage:
+//   node tools/audit-alias.js <output-dir> [options]
+//
+// Options:
+//   --alias <path>   Alias.xml to audit, relative to <output-dir> (default: Data/Alias.xml)
+//   --json <file>    Where to write the JSON report (default: alias-audit.json)
+//   --text <file>    Where to write the readable report (default: alias-audit.txt)
+//   --strict         Treat warnings as errors
+//   -h, --help       Show this help
+//
+// Exit codes: 0 = no errors, 1 = errors found, 2 = bad arguments or unreadable input.
+//
+
+const fs = require("fs");
+const path = require("path");
+
+const { core, readAliasFile, locateAliasXml } = require("./alias-xml.js");
+
+// Folders Flare writes next to the topics; they hold no topics of their own.
+const NON_TOPIC_DIRS = new Set(["data", "skins", "resources", "temporary"]);
+
+const ISSUE_TITLES = {
+  "alias-too-large": "Alias.xml larger than copy-csh will load",
+  "missing-link": "Map entries whose Link file does not exist",
+  "duplicate-id": "Duplicate ResolvedIds",
+  "file-name-only": "Topics matched only by file name",
+  "extension": "Links outside the htm/html/php allow-list"
+};
+
+function usage() {
+  const header = fs.readFileSync(__filename, "utf8").split("\n");
+  const start = header.findIndex(l => l.startsWith("// Usage:"));
+  const end = header.findIndex((l, i) => i > start && l.startsWith("// Exit codes:"));
+  return header.slice(start, end + 1).map(l => l.replace(/^\/\/ ?/, "")).join("\n");
+}
+
+function parseArgs(argv) {
+  const opts = { outputDir: null, alias: null, json: "alias-audit.json", text: "alias-audit.txt", strict: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg === "--strict") opts.strict = true;
+    else if (arg === "--alias" || arg === "--json" || arg === "--text") {
+      const value = argv[++i];
+      if (!value) throw new Error(`${arg} needs a value`);
+      opts[arg.slice(2)] = value;
+    } else if (arg.startsWith("-")) throw new Error(`Unknown option: ${arg}`);
+    else if (!opts.outputDir) opts.outputDir = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if (!opts.help && !opts.outputDir) throw new Error("Missing <output-dir>");
+  return opts;
+}
+
+// Topic files relative to the output root, with "/" separators (the form targetRelative takes in the browser).
+function listTopics(outputDir) {
+  const topics = [];
+  (function walk(dir, rel) {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const childRel = rel ? `${rel}/${dirent.name}` : dirent.name;
+      if (dirent.isDirectory()) {
+        if (!rel && NON_TOPIC_DIRS.has(dirent.name.toLowerCase())) continue;
+        walk(path.join(dir, dirent.name), childRel);
+      } else if (dirent.isFile()) {
+        if (!rel && /^default(_csh)?\./i.test(dirent.name)) continue;
+        if (core.ALLOWED_EXTS.includes(core.linkExtension(dirent.name).rawExt)) topics.push(childRel);
+      }
+    }
+  })(outputDir, "");
+  return topics.sort();
+}
+
+// Link attribute -> file on disk, or null when it points outside the output folder. Decoded like the
+// browser decodes it, so "%2F" stays in the file name and the link is reported if no such file exists.
+function linkToFile(outputDir, link) {
+  const rel = core.decodeLink(link.split("#")[0]).replace(/^\/+/, "");
+  const file = path.resolve(outputDir, rel);
+  const root = path.resolve(outputDir);
+  return file === root || file.startsWith(root + path.sep) ? file : null;
+}
+
+function audit(outputDir, aliasFile) {
+  const { xmlText, maps } = readAliasFile(aliasFile);
+  const { index } = core.buildAliasIndex(maps);
+  const issues = [];
+  const add = (type, severity, message, details = {}) => issues.push({ type, severity, message, ...details });
+
+  if (xmlText.length > core.MAX_ALIAS_LENGTH) {
+    add("alias-too-large", "error",
+      `Alias.xml has ${xmlText.length} characters; copy-csh refuses more than ${core.MAX_ALIAS_LENGTH}.`);
+  }
+
+  for (const map of maps) {
+    if (!map.link) continue;
+    const id = map.resolvedId || map.name;
+    const file = linkToFile(outputDir, map.link);
+    if (!file) {
+      add("missing-link", "error", `Link points outside the output folder: ${map.link}`, { line: map.line, link: map.link, cshId: id });
+    } else if (!fs.existsSync(file)) {
+      add("missing-link", "error", `Link file not found: ${map.link}`, { line: map.line, link: map.link, cshId: id });
+    }
+
+    const { rawExt } = core.linkExtension(map.link);
+    if (!core.ALLOWED_EXTS.includes(rawExt)) {
+      add("extension", "warning", `Extension ".${rawExt}" is not htm/html/php; copied links will use Default.htm: ${map.link}`,
+        { line: map.line, link: map.link, cshId: id });
+    }
+  }
+
+  const byId = new Map();
+  for (const map of maps) {
+    if (!map.resolvedId) continue;
+    if (!byId.has(map.resolvedId)) byId.set(map.resolvedId, []);
+    byId.get(map.resolvedId).push(map);
+  }
+  for (const [id, dupes] of byId) {
+    if (dupes.length < 2) continue;
+    add("duplicate-id", "error", `ResolvedId ${id} is used by ${dupes.length} Map entries`, {
+      cshId: id,
+      entries: dupes.map(d => ({ line: d.line, name: d.name, link: d.link }))
+    });
+  }
+
+  const topics = listTopics(outputDir);
+  for (const topic of topics) {
+    const match = core.matchAliasIndex(index, topic);
+    if (!match || match.tier !== "file") continue;
+    const links = match.candidates.map(c => c.link);
+    const message = match.ambiguous
+      ? `${topic} matches ${links.length} links by file name only (${links.join(", ")}); copy-csh will not guess and copies the clean URL`
+      : `${topic} matches only by file name (${match.hits[0].link}); the copied CSHID may belong to another topic`;
+    add("file-name-only", "warning", message,
+      { topic, ambiguous: match.ambiguous, candidates: match.candidates, cshIds: match.hits.map(h => h.cshId) });
+  }
+
+  const errors = issues.filter(i => i.severity === "error").length;
+  return {
+    outputDir: path.resolve(outputDir),
+    aliasFile: path.resolve(aliasFile),
+    generated: new Date().toISOString(),
+    summary: { maps: maps.length, topics: topics.length, errors, warnings: issues.length - errors },
+    issues
+  };
+}
+
+function formatText(report) {
+  const lines = [
+    "Alias.xml audit",
+    `Output:    ${report.outputDir}`,
+    `Alias.xml: ${report.aliasFile}`,
+    `Maps: ${report.summary.maps}  Topics: ${report.summary.topics}  Errors: ${report.summary.errors}  Warnings: ${report.summary.warnings}`
+  ];
+  for (const [type, title] of Object.entries(ISSUE_TITLES)) {
+    const group = report.issues.filter(i => i.type === type);
+    if (!group.length) continue;
+    lines.push("", `${title} (${group.length}):`);
+    for (const issue of group) {
+      const where = issue.line ? ` (line ${issue.line})` : "";
+      lines.push(`  [${issue.severity}] ${issue.message}${where}`);
+      for (const entry of issue.entries || []) lines.push(`      line ${entry.line}: ${entry.name || "(no Name)"} -> ${entry.link}`);
+    }
+  }
+  if (!report.issues.length) lines.push("", "No problems found.");
+  return lines.join("\n") + "\n";
+}
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${usage()}`);
+    return 2;
+  }
+  if (opts.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  const aliasFile = locateAliasXml(opts.outputDir, opts.alias);
+  let report;
+  try {
+    report = audit(opts.outputDir, aliasFile);
+  } catch (err) {
+    console.error(`Cannot audit ${opts.outputDir}: ${err.message}`);
+    return 2;
+  }
+
+  const text = formatText(report);
+  fs.writeFileSync(opts.json, JSON.stringify(report, null, 2) + "\n");
+  fs.writeFileSync(opts.text, text);
+  process.stdout.write(text);
+
+  const failed = report.summary.errors > 0 || (opts.strict && report.summary.warnings > 0);
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { audit, formatText, listTopics, parseArgs, main };
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+//
+// build-alias-index - Embeds a built output's Alias.xml index next to copy-csh.js.
+//
+// Converts Alias.xml into the lookup index copy-csh.js builds in the browser (same full/noContent/file
+// keys, see CopyCSHCore) and writes it as copy-csh-alias-index.js beside the script in the output.
+// With that file included by the master page, copy-csh.js never fetches Alias.xml, so lookups also
+// work offline, from file:// and in other local builds.
+//
+// Usage:
+//   node tools/build-alias-index.js <output-dir> [options]
+//
+// Options:
+//   --alias <path>   Alias.xml to index, relative to <output-dir> (default: Data/Alias.xml)
+//   --script <path>  copy-csh.js in the output, relative to <output-dir> (default: searched for)
+//   --out <file>     Where to write the index (default: copy-csh-alias-index.js next to the script)
+//   -h, --help       Show this help
+//
+// Exit codes: 0 = index written, 2 = bad arguments or unreadable input.
+//
+
+const fs = require("fs");
+const path = require("path");
+
+const { core, readAliasFile, locateAliasXml } = require("./alias-xml.js");
+
+const SCRIPT_NAME = "copy-csh.js";
+const INDEX_NAME = "copy-csh-alias-index.js";
+
+function usage() {
+  const header = fs.readFileSync(__filename, "utf8").split("\n");
+  const start = header.findIndex(l => l.startsWith("// Usage:"));
+  const end = header.findIndex((l, i) => i > start && l.startsWith("// Exit codes:"));
+  return header.slice(start, end + 1).map(l => l.replace(/^\/\/ ?/, "")).join("\n");
+}
+
+function parseArgs(argv) {
+  const opts = { outputDir: null, alias: null, script: null, out: null, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg === "--alias" || arg === "--script" || arg === "--out") {
+      const value = argv[++i];
+      if (!value) throw new Error(`${arg} needs a value`);
+      opts[arg.slice(2)] = value;
+    } else if (arg.startsWith("-")) throw new Error(`Unknown option: ${arg}`);
+    else if (!opts.outputDir) opts.outputDir = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if (!opts.help && !opts.outputDir) throw new Error("Missing <output-dir>");
+  return opts;
+}
+
+// Every copy-csh.js in the output (Flare copies the project's scripts into it).
+function findScripts(outputDir) {
+  const found = [];
+  (function walk(dir) {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const file = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) walk(file);
+      else if (dirent.isFile() && dirent.name.toLowerCase() === SCRIPT_NAME) found.push(file);
+    }
+  })(outputDir);
+  return found.sort();
+}
+
+function indexFileFor(outputDir, { script, out }) {
+  if (out) return path.resolve(out);
+  if (script) return path.join(path.dirname(path.resolve(outputDir, script)), INDEX_NAME);
+  const scripts = findScripts(outputDir);
+  if (!scripts.length) throw new Error(`No ${SCRIPT_NAME} in ${outputDir}; pass --script or --out`);
+  if (scripts.length > 1) {
+    throw new Error(`Several copies of ${SCRIPT_NAME} in ${outputDir} (${scripts.map(s => path.relative(outputDir, s)).join(", ")}); pass --script`);
+  }
+  return path.join(path.dirname(scripts[0]), INDEX_NAME);
+}
+
+// "/"-separated path from one folder to another, for URLs ("" when they are the same).
+function urlPath(from, to) {
+  return path.relative(from, to).split(path.sep).join("/");
+}
+
+// The generated script. root is resolved against the script's own URL in the browser, so the index
+// also tells copy-csh.js where the output folder is when nothing else does.
+function buildIndexScript(outputDir, aliasFile, indexFile) {
+  const { maps } = readAliasFile(aliasFile);
+  const data = core.serializeAliasIndex(core.buildAliasIndex(maps));
+  const root = urlPath(path.dirname(indexFile), outputDir);
+  const alias = urlPath(outputDir, aliasFile);
+  const source = [
+    `// Generated by copy-csh tools/build-alias-index.js from ${alias}. Do not edit; rebuild after every build.`,
+    "(function () {",
+    "  var script = document.currentScript;",
+    "  window.CopyCSHAliasIndex = {",
+    "    v: 1,",
+    `    alias: ${JSON.stringify(alias)},`,
+    `    root: script && script.src ? new URL(${JSON.stringify(root ? root + "/" : "./")}, script.src).pathname : null,`,
+    `    data: ${JSON.stringify(data)}`,
+    "  };",
+    "})();",
+    ""
+  ].join("\n");
+  return { source, maps: data.maps.length, alias, root };
+}
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${usage()}`);
+    return 2;
+  }
+  if (opts.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  const outputDir = path.resolve(opts.outputDir);
+  let indexFile;
+  let built;
+  try {
+    const aliasFile = locateAliasXml(outputDir, opts.alias);
+    indexFile = indexFileFor(outputDir, opts);
+    built = buildIndexScript(outputDir, aliasFile, indexFile);
+    fs.writeFileSync(indexFile, built.source);
+  } catch (err) {
+    console.error(`Cannot build the alias index for ${opts.outputDir}: ${err.message}`);
+    return 2;
+  }
+
+  console.log(`Wrote ${indexFile} (${built.maps} maps from ${built.alias}, ${Math.ceil(built.source.length / 1024)} KB)`);
+  return 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { buildIndexScript, findScripts, indexFileFor, parseArgs, main };